@@ -1,57 +1,191 @@
 import {
-  fetchEpisodes,
-  computeNextEpisode,
-  isFetchStale
-} from "./tvmazeApi.js";
-
-chrome.runtime.onInstalled.addListener(() => {
-  chrome.alarms.create("refreshShowsDaily", {
-    periodInMinutes: 60 * 24
+  isEpisodeAlarm,
+  isQuietHoursAlarm,
+  syncEpisodeReminders,
+  handleEpisodeAlarm,
+  flushHeldReminders,
+  handleEpisodeNotificationButton
+} from "./reminders.js";
+import { updateBadge } from "./badge.js";
+import { getSettings, onSettingsChanged } from "./settings.js";
+import { refreshAllShows } from "./refresh.js";
+import { getShows, onShowsChanged } from "./showStore.js";
+import { resolveTrackedIdentities } from "./identityResolver.js";
+
+const REFRESH_ALARM = "refreshShows";
+
+chrome.runtime.onInstalled.addListener(async () => {
+  // Replaced by the configurable REFRESH_ALARM.
+  chrome.alarms.clear("refreshShowsDaily");
+  await scheduleRefreshAlarm((await getSettings()).refreshIntervalHours);
+  // The "next 24 hours" window moves with the clock, not only with storage.
+  chrome.alarms.create("updateBadge", {
+    periodInMinutes: 15
   });
+
+  await syncEpisodeReminders(await getShows());
+  await refreshBadge();
+  mergeDuplicateEntries();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  refreshBadge();
+  mergeDuplicateEntries();
 });
 
 chrome.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === "refreshShowsDaily") {
-    refreshAllShows();
+  if (alarm.name === REFRESH_ALARM) {
+    refreshShows().then(mergeDuplicateEntries).catch((err) => {
+      console.error("Scheduled refresh failed", err);
+    });
+  } else if (alarm.name === "updateBadge") {
+    refreshBadge();
+  } else if (isEpisodeAlarm(alarm.name)) {
+    handleEpisodeAlarm(alarm);
+    refreshBadge();
+  } else if (isQuietHoursAlarm(alarm.name)) {
+    flushHeldReminders();
   }
 });
 
-async function refreshAllShows() {
-  // chrome.storage.sync automatically syncs per Chrome account
-  const stored = await chrome.storage.sync.get("shows");
-  const shows = Array.isArray(stored.shows) ? stored.shows : [];
-  if (!shows.length) return;
-
-  const updated = [];
-
-  for (const show of shows) {
-    // Preserve watched fields always.
-    let updatedShow = { ...show };
-
-    try {
-      if (!isFetchStale(show.allEpisodesLastFetchedAt)) {
-        updated.push(updatedShow);
-        continue;
-      }
-
-      const episodes = await fetchEpisodes(show.id);
-      const nextEpisode = computeNextEpisode(episodes);
-      updatedShow = {
-        ...updatedShow,
-        nextEpisode,
-        allEpisodesLastFetchedAt: new Date().toISOString()
-      };
-    } catch (err) {
-      console.error("Failed to refresh show", show.id, err);
+// "Refresh now" from the popup: { type: "refreshShows", showIds? }. Progress
+// is broadcast as "refreshProgress" messages; the popup may have closed, so
+// send failures are ignored.
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== "refreshShows") return false;
+
+  const showIds = Array.isArray(message.showIds) ? message.showIds : null;
+  refreshShows({
+    force: true,
+    showIds,
+    onProgress: (progress) => {
+      chrome.runtime.sendMessage({ type: "refreshProgress", showIds, ...progress }).catch(() => {});
     }
+  })
+    .then((result) => sendResponse({ ok: true, ...result }))
+    .catch((err) => {
+      console.error("Manual refresh failed", err);
+      sendResponse({ ok: false, error: err?.message || String(err) });
+    });
+  // Keep the channel open for the async response.
+  return true;
+});
 
-    // Reattach watched / watchedAt in case of any future changes.
-    updatedShow.watched = show.watched;
-    updatedShow.watchedAt = show.watchedAt;
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  handleEpisodeNotificationButton(notificationId, buttonIndex);
+});
 
-    updated.push(updatedShow);
+// Every writer of `shows` (refreshAllShows here, addShowFromSearch and the
+// other edits in the popup) ends in a storage write, so reminders are
+// rescheduled from the change event rather than at each call site.
+onShowsChanged((shows, oldShows) => {
+  // Shows added on another device sync without their local metadata.
+  const knownIds = new Set(oldShows.map((show) => String(show.id)));
+  if (shows.some((show) => !knownIds.has(String(show.id)) && !show.allEpisodesLastFetchedAt)) {
+    refreshShows().catch((err) => {
+      console.error("Failed to refresh shows synced from another device", err);
+    });
   }
+  syncEpisodeReminders(shows).catch((err) => {
+    console.error("Failed to reschedule episode reminders", err);
+  });
+  getSettings()
+    .then((settings) => updateBadge(shows, settings))
+    .catch((err) => {
+      console.error("Failed to update badge", err);
+    });
+});
+
+onSettingsChanged((settings) => {
+  refreshBadge();
+  scheduleRefreshAlarm(settings.refreshIntervalHours);
+});
+
+async function scheduleRefreshAlarm(intervalHours) {
+  const periodInMinutes = Math.max(1, Number(intervalHours) || 24) * 60;
+  const existing = await chrome.alarms.get(REFRESH_ALARM);
+  if (existing && existing.periodInMinutes === periodInMinutes) return;
+  await chrome.alarms.create(REFRESH_ALARM, { periodInMinutes });
+}
+
+// The alarm, "Refresh now" and shows synced from another device can all ask
+// for a refresh; overlapping runs would fetch twice and overwrite each
+// other's results. One run goes at a time: a request the current run already
+// covers joins it, anything else is merged into a single follow-up run.
+let currentRefresh = null;
+let queuedRefresh = null;
+
+function createRefreshRequest({ force = false, showIds = null, onProgress } = {}) {
+  return {
+    force,
+    showIds: showIds ? new Set(showIds.map(String)) : null,
+    listeners: onProgress ? [onProgress] : []
+  };
+}
 
-  await chrome.storage.sync.set({ shows: updated });
+// Whether `run` refreshes everything `request` asked for
+function coversRequest(run, request) {
+  if (request.force && !run.force) return false;
+  if (!run.showIds) return true;
+  return Boolean(request.showIds) && [...request.showIds].every((id) => run.showIds.has(id));
 }
 
+function mergeRefreshRequest(run, request) {
+  run.force = run.force || request.force;
+  run.showIds = run.showIds && request.showIds ? new Set([...run.showIds, ...request.showIds]) : null;
+  run.listeners.push(...request.listeners);
+}
+
+function startRefresh(run) {
+  currentRefresh = run;
+  run.promise = refreshAllShows({
+    force: run.force,
+    showIds: run.showIds ? [...run.showIds] : null,
+    onProgress: (progress) => run.listeners.forEach((listener) => listener(progress))
+  }).finally(() => {
+    currentRefresh = null;
+  });
+  return run.promise;
+}
+
+function refreshShows(options) {
+  const request = createRefreshRequest(options);
+  if (!currentRefresh) return startRefresh(request);
+
+  if (coversRequest(currentRefresh, request)) {
+    currentRefresh.listeners.push(...request.listeners);
+    return currentRefresh.promise;
+  }
+
+  if (!queuedRefresh) {
+    const next = createRefreshRequest({ showIds: [] });
+    next.promise = currentRefresh.promise
+      .catch(() => {})
+      .then(() => {
+        queuedRefresh = null;
+        return startRefresh(next);
+      });
+    queuedRefresh = next;
+  }
+  mergeRefreshRequest(queuedRefresh, request);
+  return queuedRefresh.promise;
+}
+
+// Shows tracked under different IDs (TVmaze, MAL, Wikidata) for the same
+// title are merged once their external IDs are known.
+async function mergeDuplicateEntries() {
+  try {
+    await resolveTrackedIdentities();
+  } catch (err) {
+    console.error("Failed to merge duplicate shows", err);
+  }
+}
+
+async function refreshBadge() {
+  try {
+    const [shows, settings] = await Promise.all([getShows(), getSettings()]);
+    await updateBadge(shows, settings);
+  } catch (err) {
+    console.error("Failed to update badge", err);
+  }
+}
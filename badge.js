@@ -0,0 +1,74 @@
+// Toolbar badge for the background service worker: a count of tracked shows
+// airing in the next 24 hours, or of aired episodes that have not been
+// watched yet, depending on settings.badgeMode.
+
+const ONE_HOUR_MS = 60 * 60 * 1000;
+const ONE_DAY_MS = 24 * ONE_HOUR_MS;
+
+const BADGE_COLOR = "#6c8cff";
+const BADGE_COLOR_IMMINENT = "#ef4444";
+
+/**
+ * Number of aired episodes past the user's progress (watchedEpisode).
+ * Uses the stored latestEpisode, falling back to a nextEpisode that has
+ * already aired but not been refreshed yet.
+ * @param {Object} show - Stored show
+ * @param {number} now - Current time in ms
+ * @returns {number}
+ */
+export function countUnwatchedEpisodes(show, now = Date.now()) {
+  const latest = [show.latestEpisode, show.nextEpisode]
+    .filter((ep) => Date.parse(ep?.airstamp) <= now)
+    .sort((a, b) => Date.parse(b.airstamp) - Date.parse(a.airstamp))[0];
+  if (!latest) return 0;
+
+  const watched = show.watchedEpisode || 0;
+  if (Number.isInteger(latest.number) && latest.number > watched) {
+    return latest.number - watched;
+  }
+  // TVmaze numbers restart each season, so progress from an earlier season
+  // can be ahead of a new episode; that episode is still new if it aired
+  // after the user last watched.
+  const lastWatched = Date.parse(show.lastWatchedAt);
+  return !Number.isNaN(lastWatched) && Date.parse(latest.airstamp) > lastWatched ? 1 : 0;
+}
+
+/**
+ * Whether a show has an aired episode the user hasn't watched
+ * @param {Object} show - Stored show
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function hasUnwatchedEpisode(show, now = Date.now()) {
+  return countUnwatchedEpisodes(show, now) > 0;
+}
+
+function countAiringWithin(shows, windowMs, now) {
+  return shows.filter((show) => {
+    const airTime = Date.parse(show.nextEpisode?.airstamp);
+    return !Number.isNaN(airTime) && airTime > now && airTime - now <= windowMs;
+  }).length;
+}
+
+/**
+ * Recompute the action badge text and color.
+ * @param {Array} shows - Tracked shows
+ * @param {Object} settings - Settings from getSettings()
+ */
+export async function updateBadge(shows, settings) {
+  const now = Date.now();
+  let count = 0;
+
+  if (settings.badgeMode === "airing-today") {
+    count = countAiringWithin(shows, ONE_DAY_MS, now);
+  } else if (settings.badgeMode === "unwatched") {
+    count = shows.reduce((total, show) => total + countUnwatchedEpisodes(show, now), 0);
+  }
+
+  const imminent = settings.badgeMode !== "off" && countAiringWithin(shows, ONE_HOUR_MS, now) > 0;
+
+  await chrome.action.setBadgeText({ text: count > 0 ? String(count) : "" });
+  await chrome.action.setBadgeBackgroundColor({
+    color: imminent ? BADGE_COLOR_IMMINENT : BADGE_COLOR
+  });
+}
@@ -1,88 +1,91 @@
-// Unified genre mapping across all APIs (TVmaze, Jikan, Wikidata)
+// Unified genre mapping across all APIs (TVmaze, Jikan, Wikidata).
+// Wikidata entries are English labels of genre items (what works list under
+// P136); wikidataApi.js resolves them to QIDs.
 const GENRE_MAP = {
   "Science Fiction": {
     canonical: "Science Fiction",
     variants: ["Sci-Fi", "Science-Fiction", "SF", "Science fiction", "SciFi"],
     tvmaze: ["Sci-Fi", "Science-Fiction"],
     jikan: ["Sci-Fi"],
-    wikidata: ["Science fiction"]
+    wikidata: ["science fiction film", "science fiction television series"]
   },
   "Drama": {
     canonical: "Drama",
     variants: ["Drama"],
     tvmaze: ["Drama"],
     jikan: ["Drama"],
-    wikidata: ["Drama"]
+    wikidata: ["drama film", "drama television series"]
   },
   "Comedy": {
     canonical: "Comedy",
     variants: ["Comedy"],
     tvmaze: ["Comedy"],
     jikan: ["Comedy"],
-    wikidata: ["Comedy"]
+    wikidata: ["comedy film", "comedy television series"]
   },
   "Action": {
     canonical: "Action",
     variants: ["Action"],
     tvmaze: ["Action"],
     jikan: ["Action"],
-    wikidata: ["Action"]
+    wikidata: ["action film"]
   },
   "Fantasy": {
     canonical: "Fantasy",
     variants: ["Fantasy", "Supernatural"],
     tvmaze: ["Fantasy"],
     jikan: ["Fantasy"],
-    wikidata: ["Fantasy"]
+    wikidata: ["fantasy film", "fantasy television series"]
   },
   "Horror": {
     canonical: "Horror",
     variants: ["Horror"],
     tvmaze: ["Horror"],
     jikan: ["Horror"],
-    wikidata: ["Horror"]
+    wikidata: ["horror film"]
   },
   "Thriller": {
     canonical: "Thriller",
-    variants: ["Thriller"],
+    variants: ["Thriller", "Suspense"],
     tvmaze: ["Thriller"],
-    jikan: ["Thriller"],
-    wikidata: ["Thriller"]
+    jikan: ["Suspense"],
+    wikidata: ["thriller film"]
   },
   "Romance": {
     canonical: "Romance",
     variants: ["Romance", "Romantic"],
     tvmaze: ["Romance"],
     jikan: ["Romance"],
-    wikidata: ["Romance"]
+    wikidata: ["romance film"]
   },
   "Mystery": {
     canonical: "Mystery",
     variants: ["Mystery"],
     tvmaze: ["Mystery"],
     jikan: ["Mystery"],
-    wikidata: ["Mystery"]
+    wikidata: ["mystery film"]
   },
   "Crime": {
     canonical: "Crime",
     variants: ["Crime"],
     tvmaze: ["Crime"],
-    jikan: ["Crime"],
-    wikidata: ["Crime"]
+    jikan: ["Organized Crime"],
+    wikidata: ["crime film", "crime television series"]
   },
   "Adventure": {
     canonical: "Adventure",
     variants: ["Adventure"],
     tvmaze: ["Adventure"],
     jikan: ["Adventure"],
-    wikidata: ["Adventure"]
+    wikidata: ["adventure film"]
   },
   "Animation": {
     canonical: "Animation",
     variants: ["Animation", "Animated"],
     tvmaze: ["Animation"],
-    jikan: ["Animation"],
-    wikidata: ["Animation"]
+    // Every anime is animated; no filter needed
+    jikan: [],
+    wikidata: ["animated film", "animated series"]
   }
 };
 
@@ -170,7 +173,7 @@ export function getCanonicalGenres() {
  * Get API-specific genre name
  * @param {string} canonical - Canonical genre name
  * @param {string} api - 'tvmaze', 'jikan', or 'wikidata'
- * @returns {string} - API-specific genre name (first variant if available)
+ * @returns {string|null} - API-specific genre name (first variant if available), null if the API lists none for it
  */
 export function getApiGenre(canonical, api) {
   const entry = GENRE_MAP[canonical];
@@ -180,10 +183,34 @@ export function getApiGenre(canonical, api) {
   if (apiVariants && apiVariants.length > 0) {
     return apiVariants[0];
   }
+  if (Array.isArray(apiVariants)) {
+    return null;
+  }
   
   return canonical;
 }
 
+/**
+ * Get every API-specific name for a genre
+ * @param {string} canonical - Canonical genre name
+ * @param {string} api - 'tvmaze', 'jikan', or 'wikidata'
+ * @returns {string[]} - API-specific names; [canonical] for genres outside the map
+ */
+export function getApiGenres(canonical, api) {
+  const entry = GENRE_MAP[canonical];
+  if (!entry) return [canonical];
+  return entry[api] || [canonical];
+}
+
+/**
+ * Whether a genre is one of the canonical genres
+ * @param {string} genre - Genre name
+ * @returns {boolean}
+ */
+export function isCanonicalGenre(genre) {
+  return Boolean(GENRE_MAP[genre]);
+}
+
 
 
 
@@ -0,0 +1,201 @@
+// Shared HTTP cache for the TVmaze, Jikan and Wikidata API modules, persisted
+// in IndexedDB so it survives popup closes and service worker restarts.
+//
+// - Each call names a TTL (see CACHE_TTL). Within it the cached body is
+//   returned without touching the network.
+// - Past the TTL but within MAX_STALE_MS the cached body is returned at once
+//   and revalidated in the background (stale-while-revalidate).
+// - Revalidation sends If-None-Match / If-Modified-Since when the server gave
+//   an ETag / Last-Modified; a 304 just renews the entry.
+// - If the network fails, any cached copy is served instead.
+//
+// Callers get a regular Response either way. Network requests go through
+// the per-host request scheduler.
+
+import { scheduledFetch } from "./requestScheduler.js";
+
+const DB_NAME = "httpCache";
+const DB_VERSION = 1;
+const STORE_NAME = "responses";
+
+const ONE_MINUTE_MS = 60 * 1000;
+const ONE_HOUR_MS = 60 * ONE_MINUTE_MS;
+const ONE_DAY_MS = 24 * ONE_HOUR_MS;
+
+// Serve stale entries for this long while revalidating; older ones are only
+// used when the network is down, and pruned after PRUNE_AFTER_MS.
+const MAX_STALE_MS = 7 * ONE_DAY_MS;
+const PRUNE_AFTER_MS = 30 * ONE_DAY_MS;
+
+// TTL per endpoint class.
+export const CACHE_TTL = {
+  search: ONE_HOUR_MS,
+  show: 12 * ONE_HOUR_MS,
+  episodes: 6 * ONE_HOUR_MS,
+  schedule: 30 * ONE_MINUTE_MS,
+  list: 12 * ONE_HOUR_MS,
+  anime: 6 * ONE_HOUR_MS,
+  sparql: ONE_DAY_MS,
+  catalog: 7 * ONE_DAY_MS
+};
+
+let dbPromise = null;
+// Requests already on the wire, by cache key, so concurrent callers share one.
+const inFlight = new Map();
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: "key" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).then((db) => {
+      pruneOldEntries(db);
+      return db;
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+function runTransaction(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const result = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(result?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function pruneOldEntries(db) {
+  const cutoff = Date.now() - PRUNE_AFTER_MS;
+  runTransaction(db, "readwrite", (store) => {
+    const cursorRequest = store.openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      if (cursor.value.storedAt < cutoff) cursor.delete();
+      cursor.continue();
+    };
+  }).catch((err) => {
+    console.error("Failed to prune HTTP cache", err);
+  });
+}
+
+async function readEntry(key) {
+  try {
+    const db = await openDb();
+    return (await runTransaction(db, "readonly", (store) => store.get(key))) || null;
+  } catch (err) {
+    console.error("HTTP cache read failed", err);
+    return null;
+  }
+}
+
+async function writeEntry(entry) {
+  try {
+    const db = await openDb();
+    await runTransaction(db, "readwrite", (store) => store.put(entry));
+  } catch (err) {
+    console.error("HTTP cache write failed", err);
+  }
+}
+
+function toResponse(entry) {
+  // Null-body statuses (e.g. 204, or a 304 we had nothing cached for) can't
+  // be constructed with a body.
+  const nullBody = [101, 204, 205, 304].includes(entry.status);
+  return new Response(nullBody ? null : entry.body, {
+    status: entry.status,
+    statusText: entry.statusText || "",
+    headers: { "Content-Type": entry.contentType || "application/json" }
+  });
+}
+
+// Fetch from the network, revalidating `cached` if given, and store the
+// result. Resolves to an entry; non-OK responses are returned but not stored.
+function fetchEntry(key, url, init, cached) {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const headers = new Headers(init.headers || {});
+  if (cached?.etag) headers.set("If-None-Match", cached.etag);
+  if (cached?.lastModified) headers.set("If-Modified-Since", cached.lastModified);
+
+  const request = (async () => {
+    const res = await scheduledFetch(url, { ...init, headers });
+
+    if (res.status === 304 && cached) {
+      const renewed = { ...cached, storedAt: Date.now() };
+      await writeEntry(renewed);
+      return renewed;
+    }
+
+    const entry = {
+      key,
+      status: res.status,
+      statusText: res.statusText,
+      contentType: res.headers.get("Content-Type"),
+      etag: res.headers.get("ETag"),
+      lastModified: res.headers.get("Last-Modified"),
+      body: await res.text(),
+      storedAt: Date.now()
+    };
+    if (res.ok) {
+      await writeEntry(entry);
+    }
+    return entry;
+  })();
+
+  inFlight.set(key, request);
+  request.finally(() => inFlight.delete(key)).catch(() => {});
+  return request;
+}
+
+/**
+ * fetch() through the shared cache
+ * @param {string} url - Request URL
+ * @param {Object} options - { ttlMs, init, cacheKey, fresh }
+ *   ttlMs: how long a cached response is used as is (see CACHE_TTL),
+ *   init: fetch init (method, headers, body),
+ *   cacheKey: key for requests not identified by their URL (e.g. POST bodies),
+ *   fresh: always revalidate with the server first (background refresh)
+ * @returns {Promise<Response>}
+ */
+export async function cachedFetch(url, { ttlMs = CACHE_TTL.show, init = {}, cacheKey = url, fresh = false } = {}) {
+  const cached = await readEntry(cacheKey);
+  const age = cached ? Date.now() - cached.storedAt : Infinity;
+
+  if (cached && !fresh) {
+    if (age <= ttlMs) {
+      return toResponse(cached);
+    }
+    if (age <= ttlMs + MAX_STALE_MS) {
+      fetchEntry(cacheKey, url, init, cached).catch((err) => {
+        console.error("Background revalidation failed", url, err);
+      });
+      return toResponse(cached);
+    }
+  }
+
+  try {
+    const entry = await fetchEntry(cacheKey, url, init, cached);
+    // A failed response (e.g. a 5xx) shouldn't replace data we already have.
+    const ok = entry.status >= 200 && entry.status < 300;
+    if (cached && !ok && entry.status !== 304) {
+      console.error(`Request failed (${entry.status}), serving cached copy`, url);
+      return toResponse(cached);
+    }
+    return toResponse(entry);
+  } catch (err) {
+    if (cached) {
+      console.error("Network request failed, serving cached copy", url, err);
+      return toResponse(cached);
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,242 @@
+// Cross-source identity for shows. The same title can be tracked as a TVmaze
+// ID (123), "jikan-<malId>" or "wd-<qid>", depending on where it was added
+// from. Each show gets `externalIds` ({ tvmaze, mal, imdb, wikidata }),
+// filled in from Wikidata's external-ID properties and TVmaze's IMDb lookup,
+// and two shows sharing any of them are the same title.
+//
+// The canonical ID follows the order search results use: TVmaze when TVmaze
+// knows the title (it has the episode data), else MAL, else Wikidata. Tracked
+// shows keep the ID they were added with unless they are merged with a
+// duplicate; the merged show takes the canonical ID.
+
+import { fetchShow, lookupByImdb } from "./tvmazeApi.js";
+import { fetchWikidataItem, findItemByExternalIds } from "./wikidataApi.js";
+import { getShows, rewriteShows } from "./showStore.js";
+
+const ID_KINDS = ["tvmaze", "mal", "imdb", "wikidata"];
+// Shows resolved at once; each takes a few Wikidata/TVmaze requests, and a
+// first run after an update can have every tracked show pending.
+const IDENTITY_BATCH_SIZE = 5;
+
+function cleanId(kind, value) {
+  if (value === undefined || value === null || value === "") return null;
+  const id = String(value).trim();
+  if (kind === "imdb") return /^(tt)?\d+$/.test(id) ? `tt${id.replace(/^tt/, "")}` : null;
+  if (kind === "wikidata") return /^Q\d+$/.test(id) ? id : null;
+  return /^\d+$/.test(id) ? id : null;
+}
+
+/**
+ * External IDs known locally for a show or search result, without network
+ * @param {Object} show - Stored show or search result
+ * @returns {Object} - { tvmaze, mal, imdb, wikidata }, null where unknown
+ */
+export function getExternalIds(show) {
+  const id = String(show.id ?? "");
+  const known = show.externalIds || {};
+  // TVmaze has no films, so a TVmaze ID on a movie is some unrelated series
+  // (older versions took one from a title search); movies never have one.
+  const isMovie = show.contentType === "movies";
+  const candidates = {
+    tvmaze: isMovie ? [] : [known.tvmaze, show.tvmazeId, /^\d+$/.test(id) ? id : null],
+    mal: [known.mal, show.malId, id.startsWith("jikan-") ? id.slice("jikan-".length) : null],
+    imdb: [known.imdb, show.imdbId],
+    wikidata: [known.wikidata, show.wikidataId, id.startsWith("wd-") ? id.slice("wd-".length) : null]
+  };
+
+  const ids = {};
+  for (const kind of ID_KINDS) {
+    ids[kind] = candidates[kind].map((value) => cleanId(kind, value)).find(Boolean) || null;
+  }
+  return ids;
+}
+
+/**
+ * Show ID to store a title under
+ * @param {Object} externalIds - From getExternalIds / resolveIdentity
+ * @param {string} contentType - "tv", "anime" or "movies"; movies are never stored under a TVmaze ID
+ * @returns {number|string|null} - TVmaze ID, "jikan-<malId>" or "wd-<qid>"
+ */
+export function canonicalIdFor(externalIds, contentType) {
+  if (externalIds.tvmaze && contentType !== "movies") return Number(externalIds.tvmaze);
+  if (externalIds.mal) return `jikan-${externalIds.mal}`;
+  if (externalIds.wikidata) return `wd-${externalIds.wikidata}`;
+  return null;
+}
+
+/**
+ * Whether two sets of external IDs identify the same title
+ * @param {Object} a - External IDs
+ * @param {Object} b - External IDs
+ * @returns {boolean}
+ */
+export function sameIdentity(a, b) {
+  return ID_KINDS.some((kind) => a[kind] && a[kind] === b[kind]);
+}
+
+function fillMissing(ids, found) {
+  for (const kind of ID_KINDS) {
+    ids[kind] = ids[kind] || cleanId(kind, found[kind]);
+  }
+}
+
+/**
+ * Look up every external ID of a show or search result
+ * @param {Object} show - Stored show or search result
+ * @returns {Promise<{id, externalIds: Object, complete: boolean}>} - Canonical ID and all known IDs; `complete` is false if a lookup failed
+ */
+export async function resolveIdentity(show) {
+  const ids = getExternalIds(show);
+  let complete = true;
+
+  try {
+    // Wikidata links the other three schemes.
+    const item = ids.wikidata
+      ? await fetchWikidataItem(ids.wikidata)
+      : await findItemByExternalIds(ids);
+    if (item) {
+      fillMissing(ids, {
+        wikidata: item.wikidataId,
+        tvmaze: item.tvmazeId,
+        mal: item.malId,
+        imdb: item.imdbId
+      });
+    }
+  } catch (err) {
+    console.error("Wikidata identity lookup failed", err);
+    complete = false;
+  }
+
+  try {
+    // TVmaze covers shows Wikidata has no TVmaze ID for, through IMDb.
+    // Films aren't on TVmaze; anything an IMDb or Wikidata link gives is wrong.
+    if (show.contentType === "movies") {
+      ids.tvmaze = null;
+    } else if (!ids.tvmaze && ids.imdb) {
+      const match = await lookupByImdb(ids.imdb);
+      if (match) ids.tvmaze = cleanId("tvmaze", match.id);
+    } else if (ids.tvmaze && !ids.imdb) {
+      const info = await fetchShow(ids.tvmaze);
+      ids.imdb = cleanId("imdb", info?.externals?.imdb);
+    }
+  } catch (err) {
+    console.error("TVmaze identity lookup failed", err);
+    complete = false;
+  }
+
+  return { id: canonicalIdFor(ids, show.contentType) ?? show.id, externalIds: ids, complete };
+}
+
+/**
+ * Tracked show that is the same title as the given IDs
+ * @param {Array} shows - Tracked shows
+ * @param {Object} externalIds - IDs of the title being added
+ * @returns {Object|null}
+ */
+export function findTrackedShow(shows, externalIds) {
+  return shows.find((show) => sameIdentity(getExternalIds(show), externalIds)) || null;
+}
+
+// Combine the user state of duplicates into `primary`: furthest progress,
+// earliest "watched", and the first link/reminder that was set.
+function mergeShowPair(primary, duplicate) {
+  const merged = { ...primary };
+  merged.watchedEpisode = Math.max(primary.watchedEpisode || 0, duplicate.watchedEpisode || 0);
+  merged.lastWatchedAt = [primary.lastWatchedAt, duplicate.lastWatchedAt].filter(Boolean).sort().pop() || null;
+  merged.watched = Boolean(primary.watched || duplicate.watched);
+  merged.watchedAt = [primary.watchedAt, duplicate.watchedAt].filter(Boolean).sort()[0] || null;
+  merged.priority = Boolean(primary.priority || duplicate.priority);
+  merged.watchLink = primary.watchLink || duplicate.watchLink || "";
+  merged.reminder = primary.reminder || duplicate.reminder || null;
+  merged.changeHistory = [...(primary.changeHistory || []), ...(duplicate.changeHistory || [])]
+    .sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+  merged.externalIds = { ...getExternalIds(primary) };
+  fillMissing(merged.externalIds, getExternalIds(duplicate));
+  return merged;
+}
+
+/**
+ * Merge shows that are the same title
+ * @param {Array} shows - Tracked shows
+ * @returns {Array} - Shows with each group of duplicates merged into one, at the position of its first member
+ */
+export function mergeDuplicateShows(shows) {
+  const result = [];
+  for (const show of shows) {
+    const ids = getExternalIds(show);
+    const index = result.findIndex((kept) => sameIdentity(getExternalIds(kept), ids));
+    if (index === -1) {
+      result.push(show);
+      continue;
+    }
+
+    const merged = mergeShowPair(result[index], show);
+    const canonicalId = canonicalIdFor(merged.externalIds, merged.contentType);
+    if (canonicalId === null || String(canonicalId) === String(merged.id)) {
+      result[index] = merged;
+    } else if (String(canonicalId) === String(show.id)) {
+      // The later copy has the canonical ID: keep its metadata.
+      result[index] = { ...show, ...pickUserState(merged) };
+    } else {
+      // Neither has it; metadata is refetched from the new source.
+      result[index] = {
+        ...merged,
+        id: canonicalId,
+        contentType: String(canonicalId).startsWith("jikan-") ? "anime" : merged.contentType,
+        allEpisodesLastFetchedAt: null
+      };
+    }
+  }
+  return result;
+}
+
+function pickUserState(show) {
+  const {
+    name, contentType, priority, watchLink, watchedEpisode, lastWatchedAt,
+    watched, watchedAt, reminder, changeHistory, externalIds
+  } = show;
+  return {
+    name, contentType, priority, watchLink, watchedEpisode, lastWatchedAt,
+    watched, watchedAt, reminder, changeHistory, externalIds
+  };
+}
+
+/**
+ * Resolve external IDs for tracked shows that don't have them yet, then
+ * merge any duplicates this reveals
+ * @returns {Promise<number>} - How many duplicate entries were merged away
+ */
+export async function resolveTrackedIdentities() {
+  const shows = await getShows();
+  const pending = shows.filter((show) => !show.identityResolvedAt);
+  if (!pending.length) return 0;
+
+  const resolved = new Map();
+  for (let i = 0; i < pending.length; i += IDENTITY_BATCH_SIZE) {
+    await Promise.all(
+      pending.slice(i, i + IDENTITY_BATCH_SIZE).map(async (show) => {
+        resolved.set(String(show.id), await resolveIdentity(show));
+      })
+    );
+  }
+
+  const resolvedAt = new Date().toISOString();
+  let removed = 0;
+  await rewriteShows((current) => {
+    const withIds = current.map((show) => {
+      const identity = resolved.get(String(show.id));
+      if (!identity) return show;
+      // Failed lookups are retried on the next run.
+      return {
+        ...show,
+        externalIds: identity.externalIds,
+        identityResolvedAt: identity.complete ? resolvedAt : null
+      };
+    });
+    const merged = mergeDuplicateShows(withIds);
+    removed = withIds.length - merged.length;
+    return merged;
+  });
+
+  return removed;
+}
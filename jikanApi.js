@@ -1,17 +1,11 @@
-const JIKAN_BASE_URL = "https://api.jikan.moe/v4";
-
-// Simple rate limiting for Jikan API (3 requests/second)
-let lastRequestTime = 0;
-const REQUEST_INTERVAL = 350; // ms
+import { cachedFetch, CACHE_TTL } from "./httpCache.js";
 
-async function rateLimitedFetch(url) {
-  const now = Date.now();
-  if (now - lastRequestTime < REQUEST_INTERVAL) {
-    await new Promise(resolve => setTimeout(resolve, REQUEST_INTERVAL - (now - lastRequestTime)));
-  }
-  lastRequestTime = Date.now();
+const JIKAN_BASE_URL = "https://api.jikan.moe/v4";
 
-  const res = await fetch(url);
+// Rate limiting (3 requests/second, 60/minute) and retries are handled by the
+// shared request scheduler underneath the HTTP cache.
+async function fetchJikan(url, { ttlMs = CACHE_TTL.anime, fresh = false } = {}) {
+  const res = await cachedFetch(url, { ttlMs, fresh });
   if (!res.ok) {
     console.error(`Jikan API error for ${url}: ${res.status} ${res.statusText}`);
     throw new Error(`Jikan API error: ${res.statusText}`);
@@ -19,13 +13,118 @@ async function rateLimitedFetch(url) {
   return res.json();
 }
 
+const ONE_WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+// Jikan reports broadcast times in Japan time unless it says otherwise.
+const DEFAULT_BROADCAST_TIMEZONE = "Asia/Tokyo";
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MAX_SCHEDULE_PAGES = 4;
+const MAX_EPISODE_PAGES = 12;
+const ANIME_SEASONS = ["winter", "spring", "summer", "fall"];
+
+// Wall-clock date, time and weekday of an instant in a time zone.
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+    weekday: "long"
+  }).formatToParts(date);
+  const get = (type) => parts.find(part => part.type === type)?.value;
+  return {
+    year: Number(get("year")),
+    month: Number(get("month")),
+    day: Number(get("day")),
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+    second: Number(get("second")),
+    weekday: WEEKDAYS.indexOf(get("weekday").toLowerCase())
+  };
+}
+
+// Instant at which a time zone's clock shows the given date and time.
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const shown = getZonedParts(new Date(guess), timeZone);
+  const offset = Date.UTC(shown.year, shown.month - 1, shown.day, shown.hour, shown.minute, shown.second) - guess;
+  return new Date(guess - offset);
+}
+
+// { weekday, hour, minute, timeZone } from Jikan's broadcast, e.g.
+// { day: "Saturdays", time: "23:30", timezone: "Asia/Tokyo" }
+function parseBroadcast(broadcast) {
+  const weekday = WEEKDAYS.indexOf((broadcast?.day || "").toLowerCase().replace(/s$/, ""));
+  const time = /^(\d{1,2}):(\d{2})$/.exec(broadcast?.time || "");
+  if (weekday === -1 || !time) return null;
+  return {
+    weekday,
+    hour: Number(time[1]),
+    minute: Number(time[2]),
+    timeZone: broadcast.timezone || DEFAULT_BROADCAST_TIMEZONE
+  };
+}
+
+// First broadcast at or after `from`.
+function nextBroadcastAt(slot, from) {
+  const today = getZonedParts(from, slot.timeZone);
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (day.getUTCDay() !== slot.weekday) continue;
+    const at = zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), slot.hour, slot.minute, slot.timeZone);
+    if (at >= from) return at;
+  }
+  return null;
+}
+
+/**
+ * Next episode of an anime from its weekly broadcast slot. The episode
+ * number is counted in weeks from the first air date, so it runs ahead of
+ * the real one after a broadcast break.
+ * @param {Object} anime - Jikan anime object
+ * @param {Date} from - Earliest air time to return
+ * @returns {Object|null} - { season, number, airstamp } like TVmaze episodes, null if not airing weekly
+ */
+function computeNextEpisode(anime, from = new Date()) {
+  try {
+    const slot = parseBroadcast(anime.broadcast);
+    // aired.from is the Japanese air date, given as midnight UTC.
+    const firstDate = anime.aired?.from ? new Date(anime.aired.from) : null;
+    if (!slot || !firstDate || Number.isNaN(firstDate.getTime())) return null;
+
+    const firstAir = zonedTimeToUtc(
+      firstDate.getUTCFullYear(), firstDate.getUTCMonth() + 1, firstDate.getUTCDate(),
+      slot.hour, slot.minute, slot.timeZone
+    );
+
+    let airstamp = null;
+    if (anime.status === "Not yet aired") {
+      airstamp = firstAir >= from ? firstAir : null;
+    } else if (anime.status === "Currently Airing") {
+      airstamp = nextBroadcastAt(slot, from > firstAir ? from : firstAir);
+    }
+    if (!airstamp) return null;
+
+    const number = Math.round((airstamp - firstAir) / ONE_WEEK_MS) + 1;
+    if (anime.episodes && number > anime.episodes) return null;
+    return { season: 1, number, airstamp: airstamp.toISOString() };
+  } catch (err) {
+    // Unknown time zone names throw a RangeError.
+    console.error(`Could not compute next episode for MAL ID ${anime.mal_id}:`, err);
+    return null;
+  }
+}
+
 /**
  * Fetch currently airing anime
  * @returns {Promise<Array>} - Array of airing anime
  */
 export async function fetchAiringAnime() {
   try {
-    const data = await rateLimitedFetch(`${JIKAN_BASE_URL}/top/anime?filter=airing&limit=20`);
+    const data = await fetchJikan(`${JIKAN_BASE_URL}/top/anime?filter=airing&limit=20`, { ttlMs: CACHE_TTL.list });
     if (!data || !data.data) return [];
     
     return data.data.map(anime => ({
@@ -39,7 +138,8 @@ export async function fetchAiringAnime() {
       rating: anime.score || null,
       malId: anime.mal_id,
       contentType: "anime",
-      airing: anime.status === "Currently Airing"
+      airing: anime.status === "Currently Airing",
+      nextEpisode: computeNextEpisode(anime)
     }));
   } catch (err) {
     console.error("Error fetching airing anime:", err);
@@ -47,23 +147,75 @@ export async function fetchAiringAnime() {
   }
 }
 
+// Kinds of /genres/anime entries; all of them work as `genres=` filters.
+const GENRE_GROUPS = ["genres", "themes", "demographics"];
+let genreCatalog = null;
+
+/**
+ * Jikan's anime genre catalog, loaded once per page/worker
+ * @returns {Promise<Object>} - { genres, themes, demographics }, each [{ id, name, count }] by name
+ */
+export function fetchAnimeGenreCatalog() {
+  if (!genreCatalog) {
+    genreCatalog = Promise.all(
+      GENRE_GROUPS.map(group =>
+        fetchJikan(`${JIKAN_BASE_URL}/genres/anime?filter=${group}`, { ttlMs: CACHE_TTL.catalog })
+      )
+    ).then(responses => {
+      const catalog = {};
+      GENRE_GROUPS.forEach((group, i) => {
+        catalog[group] = (responses[i]?.data || [])
+          .map(entry => ({ id: entry.mal_id, name: entry.name, count: entry.count || 0 }))
+          .sort((a, b) => a.name.localeCompare(b.name));
+      });
+      return catalog;
+    });
+    // Retry on the next call instead of caching the failure.
+    genreCatalog.catch(() => {
+      genreCatalog = null;
+    });
+  }
+  return genreCatalog;
+}
+
+/**
+ * Look up a genre, theme or demographic by name
+ * @param {string} name - Jikan name, e.g. "Romance", "Isekai", "Shounen"
+ * @returns {Promise<number|null>} - Jikan genre ID
+ */
+export async function findAnimeGenreId(name) {
+  if (!name) return null;
+  const catalog = await fetchAnimeGenreCatalog();
+  const wanted = name.toLowerCase().trim();
+  for (const group of GENRE_GROUPS) {
+    const match = catalog[group].find(entry => entry.name.toLowerCase() === wanted);
+    if (match) return match.id;
+  }
+  return null;
+}
+
 /**
  * Fetch popular anime
- * @param {string} genre - Optional genre filter
- * @returns {Promise<Array>} - Array of popular anime
+ * @param {string} genre - Optional Jikan genre, theme or demographic name
+ * @param {number} page - Page number, from 1
+ * @returns {Promise<{anime: Array, hasNextPage: boolean}>} - Anime by member count
  */
-export async function fetchPopularAnime(genre = null) {
+export async function fetchPopularAnime(genre = null, page = 1) {
   try {
-    let url = `${JIKAN_BASE_URL}/top/anime?filter=bypopularity&limit=20`;
+    let url = `${JIKAN_BASE_URL}/top/anime?filter=bypopularity&limit=20&page=${page}`;
     if (genre) {
-      // Search by genre name
-      url = `${JIKAN_BASE_URL}/anime?q=${encodeURIComponent(genre)}&order_by=members&sort=desc&limit=20`;
+      const genreId = await findAnimeGenreId(genre);
+      if (!genreId) {
+        console.warn(`Jikan genre not found: ${genre}`);
+        return { anime: [], hasNextPage: false };
+      }
+      url = `${JIKAN_BASE_URL}/anime?genres=${genreId}&order_by=members&sort=desc&sfw=true&limit=20&page=${page}`;
     }
-    
-    const data = await rateLimitedFetch(url);
-    if (!data || !data.data) return [];
-    
-    let animeResults = data.data.map(anime => ({
+
+    const data = await fetchJikan(url, { ttlMs: CACHE_TTL.list });
+    if (!data || !data.data) return { anime: [], hasNextPage: false };
+
+    const anime = data.data.map(anime => ({
       id: `jikan-${anime.mal_id}`,
       name: anime.title,
       nameEnglish: anime.title_english || anime.title,
@@ -74,31 +226,26 @@ export async function fetchPopularAnime(genre = null) {
       rating: anime.score || null,
       malId: anime.mal_id,
       contentType: "anime",
-      members: anime.members || 0
+      members: anime.members || 0,
+      nextEpisode: computeNextEpisode(anime)
     }));
 
-    if (genre) {
-      const genreLower = genre.toLowerCase();
-      animeResults = animeResults.filter(anime => 
-        anime.genres.some(g => g.toLowerCase().includes(genreLower))
-      );
-    }
-
-    return animeResults.slice(0, 20);
+    return { anime, hasNextPage: Boolean(data.pagination?.has_next_page) };
   } catch (err) {
     console.error("Error fetching popular anime:", err);
-    return [];
+    return { anime: [], hasNextPage: false };
   }
 }
 
 /**
  * Get anime details by MAL ID
  * @param {number} malId - MyAnimeList ID
+ * @param {Object} options - { fresh } revalidate with Jikan instead of using the cache
  * @returns {Promise<Object|null>} - Anime details
  */
-export async function fetchAnimeDetails(malId) {
+export async function fetchAnimeDetails(malId, { fresh = false } = {}) {
   try {
-    const data = await rateLimitedFetch(`${JIKAN_BASE_URL}/anime/${malId}`);
+    const data = await fetchJikan(`${JIKAN_BASE_URL}/anime/${malId}`, { fresh });
     if (!data || !data.data) return null;
     
     const anime = data.data;
@@ -116,7 +263,9 @@ export async function fetchAnimeDetails(malId) {
       contentType: "anime",
       airing: anime.status === "Currently Airing",
       episodes: anime.episodes || null,
-      aired: anime.aired?.string || null
+      aired: anime.aired?.string || null,
+      broadcast: anime.broadcast?.string || null,
+      nextEpisode: computeNextEpisode(anime)
     };
   } catch (err) {
     console.error(`Error fetching anime details for MAL ID ${malId}:`, err);
@@ -127,3 +276,202 @@ export async function fetchAnimeDetails(malId) {
 
 
 
+
+/**
+ * Fetch an anime's episode list
+ * @param {number|string} malId - MyAnimeList ID
+ * @returns {Promise<Array>} - Episodes in order: { number, name, airstamp, score, filler, recap }
+ */
+export async function fetchAnimeEpisodes(malId) {
+  const episodes = [];
+  try {
+    // 100 episodes per page
+    for (let page = 1; page <= MAX_EPISODE_PAGES; page++) {
+      const data = await fetchJikan(`${JIKAN_BASE_URL}/anime/${malId}/episodes?page=${page}`, { ttlMs: CACHE_TTL.episodes });
+      if (!data || !data.data) break;
+
+      episodes.push(...data.data.map(ep => ({
+        number: ep.mal_id,
+        name: ep.title || ep.title_romanji || "",
+        airstamp: ep.aired || null,
+        score: ep.score || null,
+        filler: Boolean(ep.filler),
+        recap: Boolean(ep.recap)
+      })));
+
+      if (!data.pagination?.has_next_page) break;
+    }
+  } catch (err) {
+    console.error(`Error fetching episodes for MAL ID ${malId}:`, err);
+    // Pages fetched before the failure are still useful.
+    if (!episodes.length) throw err;
+  }
+  return episodes;
+}
+
+/**
+ * Fetch the anime broadcast on a weekday (in Japan time)
+ * @param {string} day - Weekday name, e.g. "monday"
+ * @param {Object} options - { from } earliest nextEpisode air time (default now)
+ * @returns {Promise<Array>} - Anime with the next episode from their broadcast slot
+ */
+export async function fetchAnimeSchedule(day, { from = new Date() } = {}) {
+  try {
+    const results = [];
+    for (let page = 1; page <= MAX_SCHEDULE_PAGES; page++) {
+      const data = await fetchJikan(
+        `${JIKAN_BASE_URL}/schedules?filter=${encodeURIComponent(day)}&sfw=true&limit=25&page=${page}`,
+        { ttlMs: CACHE_TTL.schedule }
+      );
+      if (!data || !data.data) break;
+
+      results.push(...data.data.map(anime => ({
+        id: `jikan-${anime.mal_id}`,
+        name: anime.title,
+        nameEnglish: anime.title_english || anime.title,
+        genres: anime.genres ? anime.genres.map(g => g.name) : [],
+        status: anime.status,
+        summary: anime.synopsis ? anime.synopsis.replace(/<[^>]+>/g, "") : "",
+        image: anime.images?.webp?.image_url || anime.images?.jpg?.image_url || null,
+        rating: anime.score || null,
+        malId: anime.mal_id,
+        contentType: "anime",
+        airing: anime.status === "Currently Airing",
+        nextEpisode: computeNextEpisode(anime, from)
+      })));
+
+      if (!data.pagination?.has_next_page) break;
+    }
+    return results;
+  } catch (err) {
+    console.error(`Error fetching anime schedule for ${day}:`, err);
+    return [];
+  }
+}
+
+/**
+ * Fetch anime with an episode airing today in the user's time zone
+ * @returns {Promise<Array>} - Anime with today's episode as nextEpisode, by air time
+ */
+export async function fetchAnimeAiringToday() {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+
+  // The local day can span two broadcast days in Japan time.
+  const days = new Set([
+    WEEKDAYS[getZonedParts(start, DEFAULT_BROADCAST_TIMEZONE).weekday],
+    WEEKDAYS[getZonedParts(new Date(end - 1), DEFAULT_BROADCAST_TIMEZONE).weekday]
+  ]);
+  // From the start of the day, so episodes that already aired today count.
+  const schedules = await Promise.all([...days].map(day => fetchAnimeSchedule(day, { from: start })));
+
+  const byId = new Map();
+  for (const anime of schedules.flat()) {
+    const airsAt = Date.parse(anime.nextEpisode?.airstamp);
+    if (byId.has(anime.id) || !(airsAt < end)) continue;
+    byId.set(anime.id, anime);
+  }
+
+  return [...byId.values()].sort((a, b) => Date.parse(a.nextEpisode.airstamp) - Date.parse(b.nextEpisode.airstamp));
+}
+
+/**
+ * The current season and the ones before it, newest first
+ * @param {number} count - How many seasons to list
+ * @param {Date} now - Date in the current season
+ * @returns {Array<{year: number, season: string}>} - Seasons as Jikan names them ("winter", "spring", "summer", "fall")
+ */
+export function listRecentSeasons(count = 8, now = new Date()) {
+  const seasons = [];
+  let year = now.getFullYear();
+  let index = Math.floor(now.getMonth() / 3);
+  for (let i = 0; i < count; i++) {
+    seasons.push({ year, season: ANIME_SEASONS[index] });
+    index -= 1;
+    if (index < 0) {
+      index = ANIME_SEASONS.length - 1;
+      year -= 1;
+    }
+  }
+  return seasons;
+}
+
+/**
+ * Fetch one page of a season's anime
+ * @param {string|Object} season - "now", "upcoming", or { year, season } for a past season
+ * @param {number} page - Page number, from 1
+ * @returns {Promise<{anime: Array, hasNextPage: boolean}>} - Anime on the page, with score, members and start date for sorting
+ */
+export async function fetchSeasonAnime(season = "now", page = 1) {
+  const path = typeof season === "string"
+    ? `seasons/${season}`
+    : `seasons/${season.year}/${season.season}`;
+
+  try {
+    const data = await fetchJikan(
+      `${JIKAN_BASE_URL}/${path}?sfw=true&limit=25&page=${page}`,
+      { ttlMs: season === "now" || season === "upcoming" ? CACHE_TTL.anime : CACHE_TTL.list }
+    );
+    if (!data || !data.data) return { anime: [], hasNextPage: false };
+
+    const anime = data.data.map(item => ({
+      id: `jikan-${item.mal_id}`,
+      name: item.title,
+      nameEnglish: item.title_english || item.title,
+      genres: item.genres ? item.genres.map(g => g.name) : [],
+      status: item.status,
+      summary: item.synopsis ? item.synopsis.replace(/<[^>]+>/g, "") : "",
+      image: item.images?.webp?.image_url || item.images?.jpg?.image_url || null,
+      rating: item.score || null,
+      members: item.members || 0,
+      startDate: item.aired?.from ? item.aired.from.slice(0, 10) : null,
+      malId: item.mal_id,
+      contentType: "anime",
+      airing: item.status === "Currently Airing",
+      upcoming: item.status === "Not yet aired",
+      nextEpisode: computeNextEpisode(item)
+    }));
+
+    return { anime, hasNextPage: Boolean(data.pagination?.has_next_page) };
+  } catch (err) {
+    console.error(`Error fetching ${path}:`, err);
+    return { anime: [], hasNextPage: false };
+  }
+}
+
+/**
+ * Search anime by title
+ * @param {string} query - Search text
+ * @returns {Promise<Array>} - Matching anime, most relevant first
+ */
+export async function searchAnime(query) {
+  const trimmed = query.trim();
+  if (!trimmed) return [];
+
+  try {
+    const data = await fetchJikan(
+      `${JIKAN_BASE_URL}/anime?q=${encodeURIComponent(trimmed)}&limit=10&sfw=true`,
+      { ttlMs: CACHE_TTL.search }
+    );
+    if (!data || !data.data) return [];
+
+    return data.data.map(anime => ({
+      id: `jikan-${anime.mal_id}`,
+      name: anime.title,
+      nameEnglish: anime.title_english || anime.title,
+      genres: anime.genres ? anime.genres.map(g => g.name) : [],
+      premiered: anime.aired?.from ? anime.aired.from.slice(0, 10) : null,
+      status: anime.status || null,
+      summary: anime.synopsis ? anime.synopsis.replace(/<[^>]+>/g, "") : "",
+      image: anime.images?.webp?.image_url || anime.images?.jpg?.image_url || null,
+      rating: anime.score || null,
+      malId: anime.mal_id,
+      contentType: "anime"
+    }));
+  } catch (err) {
+    console.error("Error searching anime:", err);
+    return [];
+  }
+}
@@ -0,0 +1,147 @@
+// One search across TVmaze (TV), Jikan (anime) and Wikidata (films and
+// anything else). Results are merged when the sources' cross-IDs show they
+// are the same title (a Wikidata item's TVmaze/MAL/IMDb IDs, or TVmaze's IMDb
+// external), then grouped by content type. Each result lists the sources it
+// came from and keeps the ID scheme addShowFromSearch expects: the TVmaze ID
+// when TVmaze knows the title, else "jikan-<malId>", else "wd-<qid>".
+
+import { searchShowsRanked } from "./tvmazeApi.js";
+import { searchAnime } from "./jikanApi.js";
+import { searchByTitle } from "./wikidataApi.js";
+
+export const CONTENT_TYPE_LABELS = {
+  tv: "TV shows",
+  anime: "Anime",
+  movies: "Movies"
+};
+
+export const SOURCE_LABELS = {
+  tvmaze: "TVmaze",
+  jikan: "MyAnimeList",
+  wikidata: "Wikidata"
+};
+
+const MAX_PER_GROUP = 8;
+
+async function settle(promise, label) {
+  try {
+    return await promise;
+  } catch (err) {
+    console.error(`${label} search failed`, err);
+    return null;
+  }
+}
+
+/**
+ * Search every source and merge the results
+ * @param {string} query - Search text
+ * @returns {Promise<{groups: Object, suggestion: string|null}>} - Results by content type ("tv", "anime", "movies"), and a "Did you mean" title from TVmaze
+ */
+export async function searchAllSources(query) {
+  const [tvmaze, anime, wikidata] = await Promise.all([
+    settle(searchShowsRanked(query), "TVmaze"),
+    settle(searchAnime(query), "Jikan"),
+    settle(searchByTitle(query), "Wikidata")
+  ]);
+
+  const results = [];
+  const byTvmazeId = new Map();
+  const byMalId = new Map();
+  const byImdbId = new Map();
+
+  const index = (result) => {
+    if (result.tvmazeId) byTvmazeId.set(String(result.tvmazeId), result);
+    if (result.malId) byMalId.set(String(result.malId), result);
+    if (result.imdbId) byImdbId.set(result.imdbId, result);
+  };
+
+  for (const show of tvmaze?.results || []) {
+    const result = {
+      ...show,
+      tvmazeId: show.id,
+      // Becomes "anime" once a cross-ID links it to a MAL entry.
+      contentType: "tv",
+      sources: ["tvmaze"]
+    };
+    results.push(result);
+    index(result);
+  }
+
+  for (const item of anime || []) {
+    results.push({ ...item, sources: ["jikan"] });
+    index(results[results.length - 1]);
+  }
+
+  for (const item of wikidata || []) {
+    const matches = [
+      item.tvmazeId && byTvmazeId.get(String(item.tvmazeId)),
+      item.malId && byMalId.get(String(item.malId)),
+      item.imdbId && byImdbId.get(item.imdbId)
+    ].filter(Boolean);
+    const distinct = [...new Set(matches)].sort((a, b) => results.indexOf(a) - results.indexOf(b));
+
+    if (!distinct.length) {
+      const result = {
+        id: `wd-${item.wikidataId}`,
+        name: item.name,
+        genres: [],
+        premiered: item.year ? String(item.year) : null,
+        status: null,
+        summary: item.description || "",
+        image: null,
+        contentType: item.contentType,
+        wikidataId: item.wikidataId,
+        tvmazeId: item.tvmazeId,
+        malId: item.malId,
+        imdbId: item.imdbId,
+        description: item.description || null,
+        sources: ["wikidata"]
+      };
+      results.push(result);
+      index(result);
+      continue;
+    }
+
+    // The Wikidata item ties these results together: fold them into the
+    // first (TVmaze before Jikan, as they were added).
+    const [primary, ...duplicates] = distinct;
+    primary.wikidataId = item.wikidataId;
+    primary.imdbId = primary.imdbId || item.imdbId;
+    primary.description = primary.description || item.description || null;
+    if (!primary.sources.includes("wikidata")) primary.sources.push("wikidata");
+    if (item.malId && !primary.malId) {
+      primary.malId = Number(item.malId);
+      primary.contentType = "anime";
+    }
+
+    for (const duplicate of duplicates) {
+      mergeInto(primary, duplicate);
+      const at = results.indexOf(duplicate);
+      if (at !== -1) results.splice(at, 1);
+    }
+    index(primary);
+  }
+
+  const groups = { tv: [], anime: [], movies: [] };
+  for (const result of results) {
+    const group = groups[result.contentType] || groups.tv;
+    if (group.length < MAX_PER_GROUP) group.push(result);
+  }
+
+  return { groups, suggestion: tvmaze?.suggestion || null };
+}
+
+// A TVmaze show matched to a Jikan entry is tracked as anime under its
+// TVmaze ID (for episode data), keeping the MAL ID and Jikan's artwork.
+function mergeInto(primary, duplicate) {
+  for (const source of duplicate.sources) {
+    if (!primary.sources.includes(source)) primary.sources.push(source);
+  }
+  if (duplicate.malId) {
+    primary.malId = duplicate.malId;
+    primary.contentType = "anime";
+  }
+  primary.image = primary.image || duplicate.image;
+  primary.summary = primary.summary || duplicate.summary;
+  primary.genres = primary.genres?.length ? primary.genres : duplicate.genres;
+}
@@ -1,30 +1,63 @@
 import {
-  searchShows,
   searchShowsByGenre,
   searchShowsByGenreWithPopularity,
-  fetchShow,
-  fetchEpisodes,
+  fetchShowWithEpisodes,
   computeNextEpisode,
+  computeLatestAiredEpisode,
   isFetchStale,
   fetchScheduleToday,
   fetchPopularShows,
   fetchShowsPage,
   lookupByImdb,
-  searchByTitle
+  searchByTitle,
+  fetchLinkedNextEpisode
 } from "./tvmazeApi.js";
 import {
-  fetchAiringAnime,
+  fetchAnimeAiringToday,
   fetchPopularAnime,
-  fetchAnimeDetails
+  fetchAnimeDetails,
+  fetchSeasonAnime,
+  fetchAnimeEpisodes,
+  fetchAnimeGenreCatalog,
+  listRecentSeasons
 } from "./jikanApi.js";
 import {
-  queryByGenre
+  queryByGenre,
+  queryPopularWorks,
+  queryReleasesBetween,
+  fetchReleaseDates,
+  getNextRelease
 } from "./wikidataApi.js";
+import { resolveIdentity, findTrackedShow, getExternalIds } from "./identityResolver.js";
 import {
   normalizeGenre,
   getCanonicalGenres,
-  getApiGenre
+  getApiGenre,
+  isCanonicalGenre
 } from "./genreMapping.js";
+import {
+  getSettings,
+  saveSettings
+} from "./settings.js";
+import { hasUnwatchedEpisode } from "./badge.js";
+import { describeChange, getUnseenChanges } from "./showChanges.js";
+import { searchAllSources, CONTENT_TYPE_LABELS, SOURCE_LABELS } from "./multiSearch.js";
+import {
+  getShows,
+  addShow,
+  updateShow,
+  updateShows,
+  removeShow,
+  replaceShows,
+  getStorageUsage,
+  onShowsChanged,
+  isWatchLinkUrl
+} from "./showStore.js";
+import {
+  REMINDER_OPTIONS,
+  reminderToOptionValue,
+  optionValueToReminder
+} from "./reminders.js";
 
 const SAMPLE_SHOWS = [
   {
@@ -48,9 +81,10 @@ const SAMPLE_SHOWS = [
 let currentSortMode = "soonest";
 let currentUser = null;
 let pendingImportData = null;
-let currentView = "my-shows"; // "my-shows", "airing", "popular"
+let currentView = "my-shows"; // "my-shows", "airing", "popular", "seasons"
 let currentContentType = "tv"; // "tv", "anime", "movies"
 let currentGenreFilter = null; // Selected genre filter in Popular view
+let currentMovieYears = ""; // Release years for Popular movies, "from-to" ("" for any)
 
 // Quick Wins - New state variables
 let currentStatusFilter = "all"; // "all", "Running", "Ended"
@@ -67,6 +101,13 @@ let hasMorePopular = true; // Whether there are more popular shows to load
 let cachedAiringShows = []; // Cached airing shows for the current content type
 let cachedPopularShows = []; // Cached popular shows for the current content type
 
+// Season browser state
+let currentSeason = "now"; // "now", "upcoming" or "<year>/<season>"
+let currentSeasonSort = "members"; // "members", "score", "start"
+let seasonPage = 0;
+let hasMoreSeason = true;
+let cachedSeasonAnime = [];
+
 // Simple login functions - no OAuth2 required!
 async function getCurrentUser() {
   try {
@@ -126,6 +167,30 @@ function showProfileMenu() {
   const menu = document.getElementById("profile-menu");
   if (menu) {
     menu.style.display = "block";
+    updateStorageUsage();
+  }
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+}
+
+// Synced storage is the one with a tight quota (100 KB), so that's what the
+// profile menu shows.
+async function updateStorageUsage() {
+  const label = document.getElementById("storage-usage-text");
+  const bar = document.getElementById("storage-usage-fill");
+  if (!label || !bar) return;
+
+  try {
+    const { sync } = await getStorageUsage();
+    const percent = Math.min(100, Math.round((sync.used / sync.quota) * 100));
+    label.textContent = `Synced storage: ${formatBytes(sync.used)} of ${formatBytes(sync.quota)}`;
+    bar.style.width = `${percent}%`;
+    bar.classList.toggle("near-full", percent >= 80);
+  } catch (err) {
+    console.error("Failed to read storage usage", err);
+    label.textContent = "Synced storage: unavailable";
   }
 }
 
@@ -138,8 +203,7 @@ function hideProfileMenu() {
 
 async function exportShows() {
   try {
-    const stored = await chrome.storage.sync.get("shows");
-    const shows = Array.isArray(stored.shows) ? stored.shows : [];
+    const shows = await getShows();
 
     if (!shows.length) {
       showToast("No shows to export. Add some shows first!", "error");
@@ -169,6 +233,7 @@ async function exportShows() {
         
         // Episode and countdown data
         nextEpisode: show.nextEpisode,
+        latestEpisode: show.latestEpisode || null,
         allEpisodesLastFetchedAt: show.allEpisodesLastFetchedAt,
         
         // User customizations
@@ -178,6 +243,7 @@ async function exportShows() {
         lastWatchedAt: show.lastWatchedAt || null,
         watched: show.watched || false,
         watchedAt: show.watchedAt || null,
+        reminder: show.reminder || null,
         
         // Additional metadata (preserve any other properties)
         malId: show.malId,
@@ -238,8 +304,7 @@ async function processImport(merge = false) {
   if (!pendingImportData) return;
 
   try {
-    const stored = await chrome.storage.sync.get("shows");
-    const existingShows = Array.isArray(stored.shows) ? stored.shows : [];
+    const existingShows = await getShows();
     const showCount = pendingImportData.shows.length;
 
     let finalShows;
@@ -255,7 +320,7 @@ async function processImport(merge = false) {
       showToast(`Replaced all shows with ${showCount} imported show(s).`);
     }
 
-    await chrome.storage.sync.set({ shows: finalShows });
+    await replaceShows(finalShows);
 
     // Refresh the UI
     const container = document.getElementById("shows-container");
@@ -420,14 +485,8 @@ async function saveLinkForShow() {
   }
 
   try {
-    const stored = await chrome.storage.sync.get("shows");
-    const shows = Array.isArray(stored.shows) ? stored.shows : [];
-
-    const showIndex = shows.findIndex(s => s.id === pendingLinkShowId);
-    if (showIndex !== -1) {
-      shows[showIndex].watchLink = link || null;
-      await chrome.storage.sync.set({ shows });
-
+    const updated = await updateShow(pendingLinkShowId, { watchLink: link || null });
+    if (updated) {
       // Refresh the UI
       const container = document.getElementById("shows-container");
       if (container && currentView === "my-shows") {
@@ -451,11 +510,88 @@ async function removeLinkForShow() {
 }
 
 function isValidUrl(string) {
+  return isWatchLinkUrl(string);
+}
+
+// ========================================
+// SETTINGS FUNCTIONS
+// ========================================
+
+async function showSettingsModal() {
+  const modal = document.getElementById("settings-modal");
+  if (!modal) return;
+
   try {
-    new URL(string);
-    return true;
-  } catch (_) {
-    return false;
+    const settings = await getSettings();
+    const quietEnabled = document.getElementById("settings-quiet-enabled");
+    const quietStart = document.getElementById("settings-quiet-start");
+    const quietEnd = document.getElementById("settings-quiet-end");
+
+    const badgeMode = document.getElementById("settings-badge-mode");
+    if (badgeMode) badgeMode.value = settings.badgeMode;
+    const refreshInterval = document.getElementById("settings-refresh-interval");
+    if (refreshInterval) refreshInterval.value = String(settings.refreshIntervalHours);
+    const skipFiller = document.getElementById("settings-skip-filler");
+    if (skipFiller) skipFiller.checked = !!settings.skipFillerEpisodes;
+    if (quietEnabled) quietEnabled.checked = !!settings.quietHours.enabled;
+    if (quietStart) quietStart.value = settings.quietHours.start;
+    if (quietEnd) quietEnd.value = settings.quietHours.end;
+  } catch (err) {
+    console.error("Error loading settings:", err);
+  }
+
+  modal.style.display = "flex";
+}
+
+function hideSettingsModal() {
+  const modal = document.getElementById("settings-modal");
+  if (modal) {
+    modal.style.display = "none";
+  }
+}
+
+async function saveSettingsFromModal() {
+  const quietEnabled = document.getElementById("settings-quiet-enabled");
+  const quietStart = document.getElementById("settings-quiet-start");
+  const quietEnd = document.getElementById("settings-quiet-end");
+
+  const start = quietStart ? quietStart.value : "";
+  const end = quietEnd ? quietEnd.value : "";
+  const enabled = quietEnabled ? quietEnabled.checked : false;
+  const badgeModeSelect = document.getElementById("settings-badge-mode");
+  const refreshIntervalSelect = document.getElementById("settings-refresh-interval");
+  const skipFillerCheckbox = document.getElementById("settings-skip-filler");
+
+  if (enabled && (!start || !end || start === end)) {
+    showToast("Please choose different start and end times", "error");
+    return;
+  }
+
+  try {
+    await saveSettings({
+      badgeMode: badgeModeSelect ? badgeModeSelect.value : "airing-today",
+      refreshIntervalHours: refreshIntervalSelect ? Number(refreshIntervalSelect.value) : 24,
+      skipFillerEpisodes: skipFillerCheckbox ? skipFillerCheckbox.checked : false,
+      quietHours: { enabled, start: start || "22:00", end: end || "08:00" }
+    });
+    hideSettingsModal();
+    showToast("Settings saved");
+  } catch (err) {
+    console.error("Error saving settings:", err);
+    showToast("Failed to save settings", "error");
+  }
+}
+
+async function updateShowReminder(showId, optionValue) {
+  try {
+    const updated = await updateShow(showId, { reminder: optionValueToReminder(optionValue) });
+    if (updated) {
+      const label = REMINDER_OPTIONS.find(o => o.value === optionValue)?.label || "";
+      showToast(optionValue === "off" ? "Reminders off for this show" : `Reminder: ${label.toLowerCase()}`);
+    }
+  } catch (err) {
+    console.error("Error updating reminder:", err);
+    showToast("Failed to update reminder", "error");
   }
 }
 
@@ -465,22 +601,15 @@ function isValidUrl(string) {
 
 async function togglePriority(showId) {
   try {
-    const stored = await chrome.storage.sync.get("shows");
-    const shows = Array.isArray(stored.shows) ? stored.shows : [];
-
-    const showIndex = shows.findIndex(s => s.id === showId);
-    if (showIndex !== -1) {
-      shows[showIndex].priority = !shows[showIndex].priority;
-      await chrome.storage.sync.set({ shows });
-
+    const updated = await updateShow(showId, (latest) => ({ priority: !latest.priority }));
+    if (updated) {
       // Refresh the UI
       const container = document.getElementById("shows-container");
       if (container && currentView === "my-shows") {
         loadAndRenderShows(container);
       }
 
-      const isPriority = shows[showIndex].priority;
-      showToast(isPriority ? "Pinned to top ⭐" : "Unpinned");
+      showToast(updated.priority ? "Pinned to top ⭐" : "Unpinned");
     }
   } catch (err) {
     console.error("Error toggling priority:", err);
@@ -506,14 +635,8 @@ async function openWatchLinkAndTrack(showId, url) {
 
   // Update lastWatchedAt timestamp
   try {
-    const stored = await chrome.storage.sync.get("shows");
-    const shows = Array.isArray(stored.shows) ? stored.shows : [];
-
-    const showIndex = shows.findIndex(s => s.id === showId);
-    if (showIndex !== -1) {
-      shows[showIndex].lastWatchedAt = new Date().toISOString();
-      await chrome.storage.sync.set({ shows });
-
+    const updated = await updateShow(showId, { lastWatchedAt: new Date().toISOString() });
+    if (updated) {
       // Refresh the UI to update button state
       const container = document.getElementById("shows-container");
       if (container && currentView === "my-shows") {
@@ -525,19 +648,18 @@ async function openWatchLinkAndTrack(showId, url) {
   }
 }
 
-async function updateWatchedProgress(showId, delta) {
+// `skipNumbers`: episode numbers to step over (anime filler/recaps)
+async function updateWatchedProgress(showId, delta, skipNumbers = null) {
   try {
-    const stored = await chrome.storage.sync.get("shows");
-    const shows = Array.isArray(stored.shows) ? stored.shows : [];
-
-    const showIndex = shows.findIndex(s => s.id === showId);
-    if (showIndex !== -1) {
-      let current = shows[showIndex].watchedEpisode || 0;
-      current += delta;
-      if (current < 0) current = 0;
-
-      shows[showIndex].watchedEpisode = current;
-      await chrome.storage.sync.set({ shows });
+    const updated = await updateShow(showId, (latest) => {
+      let next = Math.max(0, (latest.watchedEpisode || 0) + delta);
+      while (skipNumbers?.has(next) && next + delta >= 0) {
+        next += delta;
+      }
+      return { watchedEpisode: next };
+    });
+    if (updated) {
+      const current = updated.watchedEpisode;
 
       // Update UI if details are open
       // Re-rendering the whole show details might be heavy, but it ensures consistency
@@ -570,10 +692,7 @@ async function updateWatchedProgress(showId, delta) {
         const openCard = Array.from(showCards).find(c => c.querySelector(".show-details"));
         if (openCard) {
           const details = openCard.querySelector(".show-details");
-          const progressText = details.querySelector(".progress-text");
-          if (progressText) {
-            progressText.textContent = `Ep ${current}`;
-          }
+          updateProgressDisplay(details, current);
         }
       }
     }
@@ -582,6 +701,55 @@ async function updateWatchedProgress(showId, delta) {
   }
 }
 
+// Ask the service worker to refresh shows now, ignoring refresh intervals.
+// Without showIds the whole library is refreshed.
+async function refreshShowsNow(showIds = null) {
+  const btn = showIds ? null : document.getElementById("refresh-all-btn");
+  const cards = (showIds || []).map((id) =>
+    document.querySelector(`.show-card[data-show-id="${CSS.escape(String(id))}"]`)
+  ).filter(Boolean);
+
+  if (btn) {
+    if (btn.disabled) return;
+    btn.disabled = true;
+    btn.textContent = "↻ …";
+  }
+  cards.forEach((card) => card.classList.add("refreshing"));
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: "refreshShows", showIds });
+    if (!response?.ok) {
+      throw new Error(response?.error || "No response from background");
+    }
+    if (response.failed) {
+      showToast(`Refreshed ${response.refreshed}, ${response.failed} failed`, "error");
+    } else {
+      showToast(response.refreshed === 1 ? "Show refreshed" : `Refreshed ${response.refreshed} shows`);
+    }
+  } catch (err) {
+    console.error("Refresh failed", err);
+    showToast("Couldn't refresh shows. Try again later.", "error");
+  } finally {
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = "↻";
+    }
+    // Cards whose show changed were replaced already; this covers the rest.
+    cards.forEach((card) => card.classList.remove("refreshing"));
+  }
+}
+
+function formatTimeAgo(iso) {
+  const time = Date.parse(iso);
+  if (Number.isNaN(time)) return "";
+  const minutes = Math.floor((Date.now() - time) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+}
+
 function showLogoutModal() {
   const modal = document.getElementById("logout-modal");
   if (modal) {
@@ -643,6 +811,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   const profileImportBtn = document.getElementById("profile-import-btn");
   const profileImportFile = document.getElementById("profile-import-file");
   const profileSigninBtn = document.getElementById("profile-signin-btn");
+  const profileSettingsBtn = document.getElementById("profile-settings-btn");
 
   if (profileExportBtn) {
     profileExportBtn.addEventListener("click", exportShows);
@@ -656,6 +825,35 @@ document.addEventListener("DOMContentLoaded", async () => {
     profileImportFile.addEventListener("change", handleFileImport);
   }
 
+  if (profileSettingsBtn) {
+    profileSettingsBtn.addEventListener("click", () => {
+      hideProfileMenu();
+      showSettingsModal();
+    });
+  }
+
+  // Settings modal buttons
+  const settingsSaveBtn = document.getElementById("settings-save-btn");
+  const settingsCancelBtn = document.getElementById("settings-cancel-btn");
+
+  if (settingsSaveBtn) {
+    settingsSaveBtn.addEventListener("click", saveSettingsFromModal);
+  }
+
+  if (settingsCancelBtn) {
+    settingsCancelBtn.addEventListener("click", hideSettingsModal);
+  }
+
+  // Close settings modal when clicking outside
+  const settingsModal = document.getElementById("settings-modal");
+  if (settingsModal) {
+    settingsModal.addEventListener("click", (e) => {
+      if (e.target === settingsModal) {
+        hideSettingsModal();
+      }
+    });
+  }
+
   if (profileSigninBtn) {
     profileSigninBtn.addEventListener("click", () => {
       hideProfileMenu();
@@ -784,6 +982,16 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   });
 
+  initializeSeasonControls(showsContainer);
+  initializeMovieYearControl(showsContainer);
+
+  // Background refreshes and other synced devices change shows too.
+  onShowsChanged((shows) => {
+    applyShowChanges(shows).catch((err) => {
+      console.error("Failed to apply show changes", err);
+    });
+  });
+
   // Load saved view preference
   chrome.storage.sync.get(["sortMode", "currentView"], (res) => {
       if (res.sortMode) {
@@ -867,6 +1075,20 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   }
 
+  const refreshAllBtn = document.getElementById("refresh-all-btn");
+  if (refreshAllBtn) {
+    refreshAllBtn.addEventListener("click", () => refreshShowsNow());
+  }
+
+  // Progress of a "Refresh now" running in the background
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type !== "refreshProgress" || message.showIds) return;
+    const btn = document.getElementById("refresh-all-btn");
+    if (btn) {
+      btn.textContent = `↻ ${message.done}/${message.total}`;
+    }
+  });
+
   // Link modal handlers
   const linkModal = document.getElementById("link-modal");
   const linkInput = document.getElementById("link-input");
@@ -936,8 +1158,9 @@ async function switchView(view, savePreference = true) {
   airingPage = 0;
   hasMorePopular = true;
   hasMoreAiring = true;
-  cachedPopularShows = [];
-  cachedAiringShows = [];
+  seasonPage = 0;
+  hasMoreSeason = true;
+  cachedSeasonAnime = [];
   isLoadingMore = false;
 
   const showsContainer = document.getElementById("shows-container");
@@ -978,6 +1201,17 @@ async function switchView(view, savePreference = true) {
     }
   }
 
+  // Show/hide season controls (only in Seasons view)
+  const seasonControls = document.getElementById("season-controls");
+  if (seasonControls) {
+    seasonControls.style.display = view === "seasons" ? "flex" : "none";
+  }
+
+  const changesBanner = document.getElementById("changes-banner");
+  if (changesBanner && view !== "my-shows") {
+    changesBanner.style.display = "none";
+  }
+
   // Show/hide sort select based on view
   if (sortSelectContainer) {
     if (view === "my-shows") {
@@ -995,6 +1229,8 @@ async function switchView(view, savePreference = true) {
       sectionTitle.textContent = "Airing today";
     } else if (view === "popular") {
       sectionTitle.textContent = "Popular shows";
+    } else if (view === "seasons") {
+      sectionTitle.textContent = "Anime seasons";
     }
   }
 
@@ -1008,6 +1244,8 @@ async function switchView(view, savePreference = true) {
     loadAndRenderAiringShows(showsContainer);
   } else if (view === "popular") {
     loadAndRenderPopularShows(showsContainer);
+  } else if (view === "seasons") {
+    loadAndRenderSeasonAnime(showsContainer);
   }
 
   // Save preference
@@ -1021,8 +1259,8 @@ function setupInfiniteScroll(container) {
   // Remove existing listener from body if any
   document.body.removeEventListener("scroll", handleInfiniteScroll);
 
-  // Only add listener for airing/popular views
-  if (currentView === "airing" || currentView === "popular") {
+  // Only add listener for airing/popular/seasons views
+  if (currentView === "airing" || currentView === "popular" || currentView === "seasons") {
     // Listen on body since that's what scrolls in the popup
     document.body.addEventListener("scroll", handleInfiniteScroll);
   }
@@ -1040,13 +1278,27 @@ async function handleInfiniteScroll(e) {
   const container = document.getElementById("shows-container");
   if (!container) return;
 
-  if (currentView === "popular" && hasMorePopular && currentContentType === "tv") {
+  if (currentView === "popular" && hasMorePopular) {
     await loadMorePopularShows(container);
   } else if (currentView === "airing" && hasMoreAiring) {
     await loadMoreAiringShows(container);
+  } else if (currentView === "seasons" && hasMoreSeason) {
+    await loadMoreSeasonAnime(container);
   }
 }
 
+// Airing window for movies
+const RECENT_RELEASE_DAYS = 30;
+const UPCOMING_RELEASE_DAYS = 90;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local calendar date as "YYYY-MM-DD"
+function toDateString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
 async function loadAndRenderAiringShows(container) {
   container.innerHTML = "<div class='card show-card'>Loading shows airing today...</div>";
 
@@ -1055,163 +1307,42 @@ async function loadAndRenderAiringShows(container) {
 
     if (currentContentType === "tv") {
       const tvShows = await fetchScheduleToday();
-      shows = await Promise.all(
-        tvShows.map(async (show) => {
-          try {
-            const episodes = await fetchEpisodes(show.id);
-            const nextEpisode = computeNextEpisode(episodes);
-            return {
-              ...show,
-              nextEpisode,
-              watched: false,
-              watchedAt: null,
-              contentType: "tv"
-            };
-          } catch (err) {
-            console.error(`Failed to fetch episodes for ${show.name}:`, err);
-            return {
-              ...show,
-              nextEpisode: null,
-              watched: false,
-              watchedAt: null,
-              contentType: "tv"
-            };
-          }
-        })
-      );
+      // TVmaze already returned each show's next episode.
+      shows = tvShows.map((show) => ({
+        ...show,
+        watched: false,
+        watchedAt: null,
+        contentType: "tv"
+      }));
     } else if (currentContentType === "anime") {
-      // Use Jikan to get airing anime, then cross-match with TVmaze
-      const jikanAnime = await fetchAiringAnime();
-
-      // Cross-match each anime with TVmaze - filter to only actual anime
-      const matchedAnime = await Promise.all(
-        jikanAnime.map(async (anime) => {
-          // Try searching TVmaze by title (try English name first, then original)
-          let tvmazeShow = await searchByTitle(anime.nameEnglish || anime.name);
-
-          // If not found, try original name
-          if (!tvmazeShow && anime.name !== anime.nameEnglish) {
-            tvmazeShow = await searchByTitle(anime.name);
-          }
-
-          // If found in TVmaze, verify it's actually anime
-          if (tvmazeShow) {
-            // Check if TVmaze show is anime (has Animation genre)
-            const tvmazeGenres = Array.isArray(tvmazeShow.genres) ? tvmazeShow.genres : [];
-            const isAnimeGenre = tvmazeGenres.some(g =>
-              g.toLowerCase() === "animation" ||
-              g.toLowerCase() === "anime"
-            );
-
-            // Check if name matches closely
-            const nameMatches = tvmazeShow.name.toLowerCase().includes(anime.name.toLowerCase().split(' ')[0]) ||
-              anime.name.toLowerCase().includes(tvmazeShow.name.toLowerCase().split(' ')[0]);
-
-            // Only use TVmaze data if it's actually anime or name matches well
-            if (isAnimeGenre || nameMatches) {
-              // Prioritize images: TVmaze first, then Jikan
-              let finalImage = null;
-              if (tvmazeShow.image) {
-                if (typeof tvmazeShow.image === 'string' && tvmazeShow.image.trim()) {
-                  finalImage = tvmazeShow.image;
-                } else if (typeof tvmazeShow.image === 'object') {
-                  finalImage = tvmazeShow.image.medium || tvmazeShow.image.original || null;
-                }
-              }
-              if (!finalImage && anime.image) {
-                finalImage = anime.image;
-              }
-
-              try {
-                const episodes = await fetchEpisodes(tvmazeShow.id);
-                const nextEpisode = computeNextEpisode(episodes);
-                return {
-                  id: tvmazeShow.id,
-                  name: anime.name, // Use Jikan name (more accurate for anime)
-                  genres: anime.genres.length ? anime.genres : tvmazeShow.genres,
-                  status: tvmazeShow.status || anime.status,
-                  summary: anime.summary || tvmazeShow.summary,
-                  image: finalImage || anime.image,
-                  nextEpisode,
-                  watched: false,
-                  watchedAt: null,
-                  contentType: "anime",
-                  malId: anime.malId
-                };
-              } catch (err) {
-                console.error(`Failed to fetch episodes for ${anime.name}:`, err);
-                // Return with Jikan data on error
-                return {
-                  id: tvmazeShow.id,
-                  name: anime.name,
-                  genres: anime.genres,
-                  status: anime.status,
-                  summary: anime.summary,
-                  image: finalImage || anime.image,
-                  nextEpisode: null,
-                  watched: false,
-                  watchedAt: null,
-                  contentType: "anime",
-                  malId: anime.malId
-                };
-              }
-            }
-          }
-
-          // If not found in TVmaze or not anime, still show with Jikan data
-          return {
-            id: `jikan-${anime.malId}`,
-            name: anime.name,
-            genres: anime.genres,
-            status: anime.status,
-            summary: anime.summary,
-            image: anime.image,
-            nextEpisode: null, // No TVmaze episode data
-            watched: false,
-            watchedAt: null,
-            contentType: "anime",
-            malId: anime.malId
-          };
-        })
-      );
-
-      // All anime from Jikan should be shown (no nulls)
-      shows = matchedAnime;
+      // Jikan's broadcast schedule gives each anime's episode airing today
+      const jikanAnime = await fetchAnimeAiringToday();
+      shows = jikanAnime.map((anime) => ({
+        ...anime,
+        watched: false,
+        watchedAt: null
+      }));
     } else if (currentContentType === "movies") {
-      // Movies don't have "airing" episodes, but show them with "Not episodic" label
-      // Try to get some popular movies from Wikidata
-      const wikidataResults = await queryByGenre("Action", ["movies"], 10);
-      shows = await Promise.all(
-        wikidataResults.map(async (item) => {
-          // Try to cross-check with TVmaze for images
-          let tvmazeData = null;
-          if (item.imdbId) {
-            tvmazeData = await lookupByImdb(item.imdbId);
-          }
-          if (!tvmazeData) {
-            tvmazeData = await searchByTitle(item.name);
-          }
-
-          return {
-            id: `wd-${item.wikidataId}`,
-            name: item.name,
-            genres: tvmazeData?.genres || [],
-            status: tvmazeData?.status || null,
-            summary: tvmazeData?.summary || "",
-            image: tvmazeData?.image || null,
-            nextEpisode: null, // Movies are not episodic
-            watched: false,
-            watchedAt: null,
-            contentType: "movies",
-            imdbId: item.imdbId,
-            tvmazeId: tvmazeData?.id || null
-          };
-        })
-      );
+      // Movies out in the last month or coming in the next three, most popular
+      // first, counting down to their release
+      const now = new Date();
+      const from = new Date(now.getTime() - RECENT_RELEASE_DAYS * ONE_DAY_MS);
+      const to = new Date(now.getTime() + UPCOMING_RELEASE_DAYS * ONE_DAY_MS);
+      const wikidataResults = await queryReleasesBetween(toDateString(from), toDateString(to), ["movies"], 20);
+      shows = await Promise.all(wikidataResults.map(async (item) => ({
+        ...await movieFromWikidata(item),
+        // The release the query matched, so the card counts down to it
+        releases: item.released
+          ? [{ date: item.released, precision: "day", country: null, worldwide: true, format: null }]
+          : []
+      })));
     }
 
   if (!shows.length) {
-      container.innerHTML = `<div class='card show-card'>No ${currentContentType === "tv" ? "TV shows" : "anime"} airing today.</div>`;
+      const emptyText = currentContentType === "movies"
+        ? "No recent or upcoming movie releases found."
+        : `No ${currentContentType === "tv" ? "TV shows" : "anime"} airing today.`;
+      container.innerHTML = `<div class='card show-card'>${emptyText}</div>`;
       return;
     }
 
@@ -1224,174 +1355,28 @@ async function loadAndRenderAiringShows(container) {
 
 async function loadAndRenderPopularShows(container) {
   container.innerHTML = "<div class='card show-card'>Loading popular shows...</div>";
+  popularPage = 0;
+  hasMorePopular = true;
 
   try {
     let shows = [];
 
-    if (currentGenreFilter) {
+    if (currentContentType === "anime" || currentContentType === "movies") {
+      const page = await fetchPopularPage(currentContentType, 0, currentGenreFilter, currentMovieYears);
+      shows = page.shows;
+      hasMorePopular = page.hasMore;
+    } else if (currentGenreFilter) {
       // Load by genre
       shows = await loadAndRenderByGenre(currentGenreFilter, currentContentType);
     } else {
-      // Load popular by content type
-      if (currentContentType === "tv") {
-        const tvShows = await fetchPopularShows();
-        shows = await Promise.all(
-          tvShows.map(async (show) => {
-            try {
-              const episodes = await fetchEpisodes(show.id);
-              const nextEpisode = computeNextEpisode(episodes);
-              return {
-                ...show,
-                nextEpisode,
-                watched: false,
-                watchedAt: null,
-                contentType: "tv"
-              };
-            } catch (err) {
-              console.error(`Failed to fetch episodes for ${show.name}:`, err);
-              return {
-                ...show,
-                nextEpisode: null,
-                watched: false,
-                watchedAt: null,
-                contentType: "tv"
-              };
-            }
-          })
-        );
-      } else if (currentContentType === "anime") {
-        // Use Jikan to get popular anime, then cross-match with TVmaze
-        let jikanAnime = [];
-        if (currentGenreFilter) {
-          const genre = getApiGenre(normalizeGenre(currentGenreFilter), "jikan");
-          jikanAnime = await fetchPopularAnime(genre);
-        } else {
-          jikanAnime = await fetchPopularAnime();
-        }
-
-        // Cross-match each anime with TVmaze - only keep if found in TVmaze AND is actually anime
-        const matchedAnime = await Promise.all(
-          jikanAnime.map(async (anime) => {
-            // Try searching TVmaze by title (try English name first, then original)
-            let tvmazeShow = await searchByTitle(anime.nameEnglish || anime.name);
-
-            // If not found, try original name
-            if (!tvmazeShow && anime.name !== anime.nameEnglish) {
-              tvmazeShow = await searchByTitle(anime.name);
-            }
-
-            // Only return if found in TVmaze AND is actually anime
-            if (tvmazeShow) {
-              // Check if TVmaze show is anime (has Animation genre or matches closely)
-              const tvmazeGenres = Array.isArray(tvmazeShow.genres) ? tvmazeShow.genres : [];
-              const isAnimeGenre = tvmazeGenres.some(g =>
-                g.toLowerCase() === "animation" ||
-                g.toLowerCase() === "anime"
-              );
-
-              // Also check if the name matches closely (to avoid wrong matches)
-              const nameMatches = tvmazeShow.name.toLowerCase().includes(anime.name.toLowerCase().split(' ')[0]) ||
-                anime.name.toLowerCase().includes(tvmazeShow.name.toLowerCase().split(' ')[0]);
-
-              // Only include if it's an animation genre or name matches very closely
-              if (!isAnimeGenre && !nameMatches) {
-                return null; // Skip non-anime shows
-              }
-
-              // Prioritize images: TVmaze first, then Jikan, ensure it's a valid URL
-              let finalImage = null;
-              if (tvmazeShow.image && typeof tvmazeShow.image === 'string' && tvmazeShow.image.trim()) {
-                finalImage = tvmazeShow.image;
-              } else if (anime.image && typeof anime.image === 'string' && anime.image.trim()) {
-                finalImage = anime.image;
-              }
-
-              try {
-                const episodes = await fetchEpisodes(tvmazeShow.id);
-                const nextEpisode = computeNextEpisode(episodes);
-                return {
-                  id: tvmazeShow.id,
-                  name: anime.name, // Use the Jikan name (more accurate for anime)
-                  genres: anime.genres.length ? anime.genres : tvmazeShow.genres,
-                  status: tvmazeShow.status || anime.status,
-                  summary: anime.summary || tvmazeShow.summary,
-                  image: finalImage || anime.image,
-                  nextEpisode,
-                  watched: false,
-                  watchedAt: null,
-                  contentType: "anime",
-                  malId: anime.malId
-                };
-              } catch (err) {
-                console.error(`Failed to fetch episodes for ${tvmazeShow.name}:`, err);
-                return {
-                  id: tvmazeShow.id,
-                  name: anime.name,
-                  genres: anime.genres.length ? anime.genres : tvmazeShow.genres,
-                  status: tvmazeShow.status || anime.status,
-                  summary: anime.summary || tvmazeShow.summary,
-                  image: finalImage || anime.image,
-                  nextEpisode: null,
-                  watched: false,
-                  watchedAt: null,
-                  contentType: "anime",
-                  malId: anime.malId
-                };
-              }
-            }
-
-            // If not found in TVmaze, still show but use Jikan data only
-            return {
-              id: `jikan-${anime.malId}`,
-              name: anime.name,
-              genres: anime.genres,
-              status: anime.status,
-              summary: anime.summary,
-              image: anime.image,
-              nextEpisode: null, // No TVmaze data for episodes
-              watched: false,
-              watchedAt: null,
-              contentType: "anime",
-              malId: anime.malId
-            };
-          })
-        );
-
-        // Filter out nulls (non-anime TVmaze matches)
-        shows = matchedAnime.filter(show => show !== null);
-      } else if (currentContentType === "movies") {
-        // For movies, fetch from a common genre like "Drama" or "Action"
-        const wikidataResults = await queryByGenre("Drama", ["movies"], 20);
-        // Cross-check with TVmaze for images and metadata
-        shows = await Promise.all(
-          wikidataResults.map(async (item) => {
-            let tvmazeData = null;
-
-            // Try IMDb lookup first, then title search
-            if (item.imdbId) {
-              tvmazeData = await lookupByImdb(item.imdbId);
-            }
-            if (!tvmazeData) {
-              tvmazeData = await searchByTitle(item.name);
-            }
-
-            return {
-              id: `wd-${item.wikidataId}`,
-              name: item.name,
-              genres: tvmazeData?.genres || [],
-              status: tvmazeData?.status || null,
-              summary: tvmazeData?.summary || "",
-              image: tvmazeData?.image || null,
-              nextEpisode: null, // Movies are not episodic
-              watched: false,
-              watchedAt: null,
-              contentType: "movies",
-              imdbId: item.imdbId,
-              tvmazeId: tvmazeData?.id || null
-            };
-          })
-        );
-      }
+      const tvShows = await fetchPopularShows();
+      // Next episodes are fetched as each card comes into view.
+      shows = tvShows.map((show) => ({
+        ...show,
+        watched: false,
+        watchedAt: null,
+        contentType: "tv"
+      }));
     }
 
     if (!shows.length) {
@@ -1409,11 +1394,112 @@ async function loadAndRenderPopularShows(container) {
   }
 }
 
-// Load more popular shows for infinite scroll (TV only)
+const POPULAR_MOVIES_PAGE_SIZE = 20;
+
+// Popular anime are ranked by Jikan and shown from Jikan's data alone; its
+// broadcast slot gives the countdown. TVmaze is only matched once the user
+// adds the title (see findTvmazeAnime).
+function animeFromJikan(anime) {
+  return {
+    id: `jikan-${anime.malId}`,
+    name: anime.name,
+    nameEnglish: anime.nameEnglish,
+    genres: anime.genres,
+    status: anime.status,
+    summary: anime.summary,
+    image: anime.image,
+    nextEpisode: anime.nextEpisode || null, // From Jikan's broadcast slot
+    watched: false,
+    watchedAt: null,
+    contentType: "anime",
+    malId: anime.malId
+  };
+}
+
+// TVmaze show for an anime Wikidata couldn't link, by title (English name
+// first, then original), or null if the best hit isn't plausibly the same
+// anime
+async function findTvmazeAnime(anime) {
+  let tvmazeShow = await searchByTitle(anime.nameEnglish || anime.name);
+  if (!tvmazeShow && anime.nameEnglish && anime.name !== anime.nameEnglish) {
+    tvmazeShow = await searchByTitle(anime.name);
+  }
+  if (!tvmazeShow) return null;
+
+  // Check if TVmaze show is anime (has Animation genre or matches closely)
+  const tvmazeGenres = Array.isArray(tvmazeShow.genres) ? tvmazeShow.genres : [];
+  const isAnimeGenre = tvmazeGenres.some(g =>
+    g.toLowerCase() === "animation" ||
+    g.toLowerCase() === "anime"
+  );
+
+  // Also check if the name matches closely (to avoid wrong matches)
+  const nameMatches = tvmazeShow.name.toLowerCase().includes(anime.name.toLowerCase().split(' ')[0]) ||
+    anime.name.toLowerCase().includes(tvmazeShow.name.toLowerCase().split(' ')[0]);
+
+  return isAnimeGenre || nameMatches ? tvmazeShow : null;
+}
+
+// Wikidata film with its P18 poster, plus genres and summary from TVmaze
+// when its IMDb ID matches. A title search would only find some TV series of
+// the same name.
+async function movieFromWikidata(item) {
+  const tvmazeData = item.imdbId ? await lookupByImdb(item.imdbId) : null;
+
+  return {
+    id: `wd-${item.wikidataId}`,
+    name: item.name,
+    genres: tvmazeData?.genres || [],
+    status: tvmazeData?.status || null,
+    summary: tvmazeData?.summary || "",
+    image: item.image || tvmazeData?.image || null,
+    premiered: item.released || null,
+    runtime: item.durationMinutes || null,
+    nextEpisode: null, // Movies are not episodic
+    watched: false,
+    watchedAt: null,
+    contentType: "movies",
+    imdbId: item.imdbId
+  };
+}
+
+// One page of the Popular view, counted from 0 like TVmaze's pages
+async function fetchPopularPage(contentType, page, genre = null, movieYears = "") {
+  if (contentType === "anime") {
+    const { anime, hasNextPage } = await fetchPopularAnime(genre ? getJikanGenre(genre) : null, page + 1);
+    return { shows: anime.map(animeFromJikan), hasMore: hasNextPage };
+  }
+
+  if (contentType === "movies") {
+    // Ranked by sitelinks either way; a chosen genre takes in its subgenres too
+    const offset = page * POPULAR_MOVIES_PAGE_SIZE;
+    const years = getMovieYearRange(movieYears);
+    const items = genre
+      ? await queryByGenre(normalizeGenre(genre), ["movies"], POPULAR_MOVIES_PAGE_SIZE, offset, { includeSubgenres: true, ...years })
+      : await queryPopularWorks(["movies"], POPULAR_MOVIES_PAGE_SIZE, offset, years);
+    const shows = await Promise.all(items.map(movieFromWikidata));
+    return { shows, hasMore: items.length === POPULAR_MOVIES_PAGE_SIZE };
+  }
+
+  const { shows, hasMore } = await fetchShowsPage(page, genre);
+  // Next episodes are fetched as each card comes into view.
+  return {
+    shows: shows.map((show) => ({
+      ...show,
+      watched: false,
+      watchedAt: null,
+      contentType: "tv"
+    })),
+    hasMore: hasMore && shows.length > 0
+  };
+}
+
+// Load more popular shows for infinite scroll
 async function loadMorePopularShows(container) {
-  if (isLoadingMore || !hasMorePopular || currentContentType !== "tv") return;
+  if (isLoadingMore || !hasMorePopular) return;
 
   isLoadingMore = true;
+  const contentType = currentContentType;
 
   // Add loading indicator
   const loadingEl = document.createElement("div");
@@ -1423,46 +1509,27 @@ async function loadMorePopularShows(container) {
 
   try {
     popularPage++;
-    const { shows: newShows, hasMore } = await fetchShowsPage(popularPage, currentGenreFilter);
-
-    hasMorePopular = hasMore && newShows.length > 0;
+    const { shows: newShows, hasMore } = await fetchPopularPage(contentType, popularPage, currentGenreFilter, currentMovieYears);
 
     // Remove loading indicator
     loadingEl.remove();
 
-    if (newShows.length === 0) {
+    // Switched content type or view while loading
+    if (contentType !== currentContentType || currentView !== "popular") {
       isLoadingMore = false;
       return;
     }
 
-    // Process shows with episode data
-    const processedShows = await Promise.all(
-      newShows.map(async (show) => {
-        try {
-          const episodes = await fetchEpisodes(show.id);
-          const nextEpisode = computeNextEpisode(episodes);
-          return {
-            ...show,
-            nextEpisode,
-            watched: false,
-            watchedAt: null,
-            contentType: "tv"
-          };
-        } catch (err) {
-          return {
-            ...show,
-            nextEpisode: null,
-            watched: false,
-            watchedAt: null,
-            contentType: "tv"
-          };
-        }
-      })
-    );
+    hasMorePopular = hasMore;
+
+    if (newShows.length === 0) {
+      isLoadingMore = false;
+      return;
+    }
 
     // Filter out duplicates
     const existingIds = new Set(cachedPopularShows.map(s => s.id));
-    const uniqueShows = processedShows.filter(s => !existingIds.has(s.id));
+    const uniqueShows = newShows.filter(s => !existingIds.has(s.id));
 
     // Add to cache
     cachedPopularShows.push(...uniqueShows);
@@ -1491,6 +1558,214 @@ async function loadMoreAiringShows(container) {
   hasMoreAiring = false;
 }
 
+function initializeSeasonControls(container) {
+  const seasonSelect = document.getElementById("season-select");
+  const sortSelect = document.getElementById("season-sort-select");
+  if (!seasonSelect || !sortSelect) return;
+
+  const options = [
+    { value: "now", label: "This season" },
+    { value: "upcoming", label: "Upcoming" },
+    // Past seasons, skipping the current one ("now")
+    ...listRecentSeasons(9).slice(1).map(({ year, season }) => ({
+      value: `${year}/${season}`,
+      label: `${season.charAt(0).toUpperCase()}${season.slice(1)} ${year}`
+    }))
+  ];
+  seasonSelect.innerHTML = "";
+  for (const option of options) {
+    const el = document.createElement("option");
+    el.value = option.value;
+    el.textContent = option.label;
+    seasonSelect.appendChild(el);
+  }
+  seasonSelect.value = currentSeason;
+  sortSelect.value = currentSeasonSort;
+
+  seasonSelect.addEventListener("change", (e) => {
+    currentSeason = e.target.value;
+    if (currentView === "seasons") {
+      loadAndRenderSeasonAnime(container);
+    }
+  });
+  sortSelect.addEventListener("change", (e) => {
+    currentSeasonSort = e.target.value;
+    if (currentView === "seasons") {
+      renderSeasonAnime(container);
+    }
+  });
+}
+
+// Release-year ranges for Popular movies, relative to the current year
+function initializeMovieYearControl(container) {
+  const yearSelect = document.getElementById("movie-year-select");
+  if (!yearSelect) return;
+
+  const year = new Date().getFullYear();
+  const options = [
+    { value: "", label: "Any year" },
+    { value: `${year}-${year}`, label: "This year" },
+    { value: `${year - 4}-${year}`, label: "Last 5 years" },
+    { value: `${year - 9}-${year}`, label: "Last 10 years" },
+    { value: "2000-2009", label: "2000s" },
+    { value: "1990-1999", label: "1990s" },
+    { value: "-1989", label: "Before 1990" }
+  ];
+  yearSelect.innerHTML = "";
+  for (const option of options) {
+    const el = document.createElement("option");
+    el.value = option.value;
+    el.textContent = option.label;
+    yearSelect.appendChild(el);
+  }
+  yearSelect.value = currentMovieYears;
+
+  yearSelect.addEventListener("change", (e) => {
+    currentMovieYears = e.target.value;
+    if (currentView === "popular" && currentContentType === "movies") {
+      loadAndRenderPopularShows(container);
+    }
+  });
+}
+
+// "1990-1999" -> { fromYear: 1990, toYear: 1999 }; either end may be open
+function getMovieYearRange(value) {
+  const [from, to] = (value || "").split("-");
+  return {
+    fromYear: from ? Number(from) : null,
+    toYear: to ? Number(to) : null
+  };
+}
+
+// "2026/summer" -> { year: 2026, season: "summer" }; "now"/"upcoming" as is
+function getSeasonParam(value) {
+  if (value === "now" || value === "upcoming") return value;
+  const [year, season] = value.split("/");
+  return { year: Number(year), season };
+}
+
+function sortSeasonAnime(anime) {
+  const sorted = [...anime];
+  if (currentSeasonSort === "score") {
+    sorted.sort((a, b) => (b.rating || 0) - (a.rating || 0));
+  } else if (currentSeasonSort === "start") {
+    // Unannounced start dates go last
+    sorted.sort((a, b) => (a.startDate || "9999").localeCompare(b.startDate || "9999"));
+  } else {
+    sorted.sort((a, b) => (b.members || 0) - (a.members || 0));
+  }
+  return sorted;
+}
+
+function formatMembers(count) {
+  if (count >= 1000000) return `${(count / 1000000).toFixed(1)}M`;
+  if (count >= 1000) return `${Math.round(count / 1000)}k`;
+  return String(count);
+}
+
+async function loadAndRenderSeasonAnime(container) {
+  container.innerHTML = "<div class='card show-card'>Loading anime season...</div>";
+  const season = currentSeason;
+  seasonPage = 1;
+  isLoadingMore = false;
+
+  const { anime, hasNextPage } = await fetchSeasonAnime(getSeasonParam(season), seasonPage);
+  // The user may have picked another season or view meanwhile
+  if (currentView !== "seasons" || currentSeason !== season) return;
+
+  hasMoreSeason = hasNextPage;
+  cachedSeasonAnime = [];
+  appendSeasonAnime(anime);
+  renderSeasonAnime(container);
+}
+
+async function loadMoreSeasonAnime(container) {
+  if (isLoadingMore || !hasMoreSeason) return;
+
+  isLoadingMore = true;
+  const season = currentSeason;
+
+  const loadingEl = document.createElement("div");
+  loadingEl.className = "loading-more";
+  loadingEl.textContent = "Loading more...";
+  container.appendChild(loadingEl);
+
+  const { anime, hasNextPage } = await fetchSeasonAnime(getSeasonParam(season), seasonPage + 1);
+  loadingEl.remove();
+  isLoadingMore = false;
+  if (currentView !== "seasons" || currentSeason !== season) return;
+
+  seasonPage++;
+  hasMoreSeason = hasNextPage && anime.length > 0;
+  if (appendSeasonAnime(anime)) {
+    renderSeasonAnime(container);
+  }
+}
+
+// Jikan can repeat titles across pages; returns whether anything was added
+function appendSeasonAnime(anime) {
+  const existingIds = new Set(cachedSeasonAnime.map(s => s.id));
+  const unique = anime.filter(s => !existingIds.has(s.id));
+  cachedSeasonAnime.push(...unique.map((show) => ({ ...show, watched: false, watchedAt: null })));
+  return unique.length > 0;
+}
+
+// Sorting applies to everything loaded so far, so the list is rebuilt
+// rather than appended to; the scroll position is kept.
+function renderSeasonAnime(container) {
+  const scrollTop = document.body.scrollTop;
+  container.innerHTML = "";
+
+  if (!cachedSeasonAnime.length) {
+    container.innerHTML = "<div class='card show-card'>No anime found for this season.</div>";
+    return;
+  }
+
+  for (const show of sortSeasonAnime(cachedSeasonAnime)) {
+    container.appendChild(createSeasonCard(show));
+  }
+  document.body.scrollTop = scrollTop;
+  startCountdownLoop();
+}
+
+function createSeasonCard(show) {
+  const card = createShowCard(show, false, true);
+
+  const stats = [];
+  if (show.rating) stats.push(`★ ${show.rating.toFixed(2)}`);
+  if (show.members) stats.push(`${formatMembers(show.members)} members`);
+  if (show.startDate) {
+    const start = new Date(show.startDate).toLocaleDateString(undefined, { dateStyle: "medium", timeZone: "UTC" });
+    stats.push(`Starts ${start}`);
+  }
+  if (stats.length) {
+    const statsEl = document.createElement("div");
+    statsEl.className = "season-stats";
+    statsEl.textContent = stats.join(" • ");
+    card.querySelector(".show-text")?.appendChild(statsEl);
+  }
+
+  if (show.upcoming) {
+    // Inside .show-actions so the card's own click (add) ignores it
+    const actions = document.createElement("div");
+    actions.className = "show-actions";
+    const trackBtn = document.createElement("button");
+    trackBtn.type = "button";
+    trackBtn.className = "season-track-btn";
+    trackBtn.title = "Track and get notified when it premieres";
+    trackBtn.textContent = "🔔 Track premiere";
+    trackBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      addShowFromSearch(show, { reminder: { mode: "airtime", leadMinutes: 0 } });
+    });
+    actions.appendChild(trackBtn);
+    card.querySelector(".show-header")?.appendChild(actions);
+  }
+
+  return card;
+}
+
+// TV shows by genre; anime and movies page through fetchPopularPage
 async function loadAndRenderByGenre(genre, contentType) {
   try {
     const normalizedGenre = normalizeGenre(genre);
@@ -1499,132 +1774,13 @@ async function loadAndRenderByGenre(genre, contentType) {
     if (contentType === "tv") {
       // Use TVmaze with popularity scoring
       shows = await searchShowsByGenreWithPopularity(getApiGenre(normalizedGenre, "tvmaze"));
-      shows = await Promise.all(
-        shows.map(async (show) => {
-          try {
-            const episodes = await fetchEpisodes(show.id);
-            const nextEpisode = computeNextEpisode(episodes);
-            return {
-              ...show,
-              nextEpisode,
-              watched: false,
-              watchedAt: null,
-              contentType: "tv"
-            };
-          } catch (err) {
-            return {
-              ...show,
-              nextEpisode: null,
-              watched: false,
-              watchedAt: null,
-              contentType: "tv"
-            };
-          }
-        })
-      );
-    } else if (contentType === "anime") {
-      // Use Jikan to get anime by genre, then cross-match with TVmaze
-      const genre = getApiGenre(normalizedGenre, "jikan");
-      const jikanAnime = await fetchPopularAnime(genre);
-
-      // Cross-match each anime with TVmaze - only keep if found in TVmaze
-      const matchedAnime = await Promise.all(
-        jikanAnime.map(async (anime) => {
-          // Try searching TVmaze by title (try English name first, then original)
-          let tvmazeShow = await searchByTitle(anime.nameEnglish || anime.name);
-
-          // If not found, try original name
-          if (!tvmazeShow && anime.name !== anime.nameEnglish) {
-            tvmazeShow = await searchByTitle(anime.name);
-          }
-
-          // Only return if found in TVmaze
-          if (tvmazeShow) {
-            // Prioritize images: TVmaze first, then Jikan, ensure it's a valid URL
-            let finalImage = null;
-            // Handle TVmaze image format (could be string or object with medium/original)
-            if (tvmazeShow.image) {
-              if (typeof tvmazeShow.image === 'string' && tvmazeShow.image.trim()) {
-                finalImage = tvmazeShow.image;
-              } else if (typeof tvmazeShow.image === 'object') {
-                finalImage = tvmazeShow.image.medium || tvmazeShow.image.original || null;
-              }
-            }
-            // Fallback to Jikan image if TVmaze doesn't have one
-            if (!finalImage && anime.image && typeof anime.image === 'string' && anime.image.trim()) {
-              finalImage = anime.image;
-            }
-
-            try {
-              const episodes = await fetchEpisodes(tvmazeShow.id);
-              const nextEpisode = computeNextEpisode(episodes);
-              return {
-                id: tvmazeShow.id,
-                name: tvmazeShow.name,
-                genres: tvmazeShow.genres || anime.genres,
-                status: tvmazeShow.status || anime.status,
-                summary: tvmazeShow.summary || anime.summary,
-                image: finalImage,
-                nextEpisode,
-                watched: false,
-                watchedAt: null,
-                contentType: "anime",
-                malId: anime.malId
-              };
-            } catch (err) {
-              return {
-                id: tvmazeShow.id,
-                name: tvmazeShow.name,
-                genres: tvmazeShow.genres || anime.genres,
-                status: tvmazeShow.status || anime.status,
-                summary: tvmazeShow.summary || anime.summary,
-                image: finalImage,
-                nextEpisode: null,
-                watched: false,
-                watchedAt: null,
-                contentType: "anime",
-                malId: anime.malId
-              };
-            }
-          }
-          return null; // Not found in TVmaze, skip
-        })
-      );
-
-      // Filter out nulls (anime not found in TVmaze)
-      shows = matchedAnime.filter(show => show !== null);
-    } else if (contentType === "movies") {
-      // Use Wikidata
-      const wikidataResults = await queryByGenre(normalizedGenre, ["movies"], 20);
-      // Cross-check with TVmaze for images and metadata
-      shows = await Promise.all(
-        wikidataResults.map(async (item) => {
-          let tvmazeData = null;
-
-          // Try IMDb lookup first, then title search
-          if (item.imdbId) {
-            tvmazeData = await lookupByImdb(item.imdbId);
-          }
-          if (!tvmazeData) {
-            tvmazeData = await searchByTitle(item.name);
-          }
-
-          return {
-            id: `wd-${item.wikidataId}`,
-            name: item.name,
-            genres: tvmazeData?.genres || [],
-            status: tvmazeData?.status || null,
-            summary: tvmazeData?.summary || "",
-            image: tvmazeData?.image || null,
-            nextEpisode: null, // Movies are not episodic
-            watched: false,
-            watchedAt: null,
-            contentType: "movies",
-            imdbId: item.imdbId,
-            tvmazeId: tvmazeData?.id || null
-          };
-        })
-      );
+      // Next episodes are fetched as each card comes into view.
+      shows = shows.map((show) => ({
+        ...show,
+        watched: false,
+        watchedAt: null,
+        contentType: "tv"
+      }));
     }
 
     return shows;
@@ -1634,13 +1790,71 @@ async function loadAndRenderByGenre(genre, contentType) {
   }
 }
 
+// Jikan filter name for a genre chip: canonical genres go through the
+// mapping, anime themes/demographics are already Jikan names
+function getJikanGenre(genre) {
+  return isCanonicalGenre(genre) ? getApiGenre(genre, "jikan") : genre;
+}
+
+let genreFiltersRenderId = 0;
+
+function createGenreChip(genre) {
+  const chip = document.createElement("button");
+  chip.className = "genre-filter-chip";
+  chip.textContent = genre;
+  chip.dataset.genre = genre;
+  if (currentGenreFilter === genre) {
+    chip.classList.add("active");
+  }
+  chip.addEventListener("click", () => {
+    currentGenreFilter = genre;
+    updateGenreFilterButtons();
+    const container = document.getElementById("shows-container");
+    if (container && currentView === "popular") {
+      loadAndRenderPopularShows(container);
+    }
+  });
+  return chip;
+}
+
+// Jikan themes (Isekai, Mecha...) and demographics (Shounen, Seinen...)
+async function appendAnimeGenreGroups(genreFiltersList, renderId) {
+  let catalog;
+  try {
+    catalog = await fetchAnimeGenreCatalog();
+  } catch (err) {
+    console.error("Failed to load anime genre catalog", err);
+    return;
+  }
+  // Re-rendered for another content type meanwhile
+  if (renderId !== genreFiltersRenderId) return;
+
+  for (const [group, label] of [["themes", "Themes"], ["demographics", "Demographics"]]) {
+    if (!catalog[group]?.length) continue;
+    const heading = document.createElement("div");
+    heading.className = "genre-filters-label genre-group-label";
+    heading.textContent = label;
+    genreFiltersList.appendChild(heading);
+    catalog[group].forEach((entry) => {
+      genreFiltersList.appendChild(createGenreChip(entry.name));
+    });
+  }
+}
+
 function initializeGenreFilters() {
   const genreFiltersList = document.getElementById("genre-filters-list");
   if (!genreFiltersList) return;
+  const renderId = ++genreFiltersRenderId;
 
   const genres = getCanonicalGenres();
   genreFiltersList.innerHTML = "";
 
+  // Wikidata can filter movies by release year; the other sources can't
+  const yearSelect = document.getElementById("movie-year-select");
+  if (yearSelect) {
+    yearSelect.style.display = currentContentType === "movies" ? "block" : "none";
+  }
+
   // Add "All" button
   const allBtn = document.createElement("button");
   allBtn.className = "genre-filter-chip";
@@ -1661,23 +1875,12 @@ function initializeGenreFilters() {
 
   // Add genre buttons
   genres.forEach(genre => {
-    const chip = document.createElement("button");
-    chip.className = "genre-filter-chip";
-    chip.textContent = genre;
-    chip.dataset.genre = genre;
-    if (currentGenreFilter === genre) {
-      chip.classList.add("active");
-    }
-    chip.addEventListener("click", () => {
-      currentGenreFilter = genre;
-      updateGenreFilterButtons();
-      const container = document.getElementById("shows-container");
-      if (container && currentView === "popular") {
-        loadAndRenderPopularShows(container);
-      }
-    });
-    genreFiltersList.appendChild(chip);
+    genreFiltersList.appendChild(createGenreChip(genre));
   });
+
+  if (currentContentType === "anime") {
+    appendAnimeGenreGroups(genreFiltersList, renderId);
+  }
 }
 
 function updateGenreFilterButtons() {
@@ -1702,6 +1905,14 @@ async function setContentType(type) {
     }
   });
 
+  // Anime themes/demographics only exist for anime
+  if (currentGenreFilter && !isCanonicalGenre(currentGenreFilter) && type !== "anime") {
+    currentGenreFilter = null;
+  }
+  if (currentView === "popular") {
+    initializeGenreFilters();
+  }
+
   // Reload current view
   const container = document.getElementById("shows-container");
   if (!container) return;
@@ -1715,8 +1926,8 @@ async function setContentType(type) {
 
 async function loadAndRenderShows(container) {
   // chrome.storage.sync automatically syncs per Chrome account - no auth needed!
-  const stored = await chrome.storage.sync.get("shows");
-  let shows = Array.isArray(stored.shows) ? stored.shows : [];
+  let shows = await getShows();
+  renderChangesBanner(shows);
 
   // Apply status filter
   if (currentStatusFilter !== "all") {
@@ -1736,6 +1947,143 @@ async function loadAndRenderShows(container) {
   }
 }
 
+// Bring the rendered "my-shows" cards up to date with `shows` without
+// re-rendering the list: only cards whose show changed are rebuilt, open
+// details drawers move to the new card, and the scroll position is kept.
+async function applyShowChanges(shows) {
+  if (currentView !== "my-shows") return;
+  const container = document.getElementById("shows-container");
+  if (!container) return;
+
+  renderChangesBanner(shows);
+
+  const scrollTop = document.body.scrollTop;
+  const filtered = currentStatusFilter === "all"
+    ? shows
+    : shows.filter(show => show.status === currentStatusFilter);
+  const cards = Array.from(container.querySelectorAll(":scope > .show-card[data-show-id]"));
+
+  // Empty states have no show cards to patch.
+  if (!filtered.length || !cards.length) {
+    currentPage = 1;
+    await loadAndRenderShows(container);
+    document.body.scrollTop = scrollTop;
+    return;
+  }
+
+  const visible = sortShows(filtered, currentSortMode).slice(0, currentPage * ITEMS_PER_PAGE);
+  const cardsById = new Map(cards.map((card) => [card.dataset.showId, card]));
+
+  let previous = null;
+  for (const show of visible) {
+    const id = String(show.id);
+    let card = cardsById.get(id);
+    cardsById.delete(id);
+
+    if (!card) {
+      card = createShowCard(show, true);
+    } else if (JSON.stringify(renderedShows.get(card)) !== JSON.stringify(show)) {
+      card = replaceShowCard(card, show);
+    }
+
+    const expectedAt = previous ? previous.nextSibling : container.firstChild;
+    if (expectedAt !== card) {
+      container.insertBefore(card, expectedAt);
+    }
+    previous = card;
+  }
+
+  // Removed, filtered out, or sorted past the pages loaded so far.
+  cardsById.forEach((card) => card.remove());
+
+  if (filtered.length > visible.length) {
+    setupInfiniteScrollObserver();
+  } else {
+    container.querySelector(".infinite-scroll-sentinel")?.remove();
+    container.querySelector(".load-more-btn")?.remove();
+  }
+
+  document.body.scrollTop = scrollTop;
+}
+
+function replaceShowCard(oldCard, show) {
+  const card = createShowCard(show, true);
+
+  const details = oldCard.querySelector(".show-details");
+  if (details) {
+    // Keep the fetched details; only the user's own state can be stale.
+    updateProgressDisplay(details, show.watchedEpisode || 0);
+    const reminderSelect = details.querySelector(".reminder-select");
+    if (reminderSelect) {
+      reminderSelect.value = reminderToOptionValue(show.reminder);
+    }
+    card.classList.add("expanded");
+    card.appendChild(details);
+  }
+
+  oldCard.replaceWith(card);
+  return card;
+}
+
+// Status, network, schedule and season changes found by the background
+// refresh that the user hasn't dismissed yet.
+function renderChangesBanner(shows) {
+  const banner = document.getElementById("changes-banner");
+  if (!banner) return;
+
+  const unseen = currentView === "my-shows" ? getUnseenChanges(shows) : [];
+  banner.innerHTML = "";
+  if (!unseen.length) {
+    banner.style.display = "none";
+    return;
+  }
+
+  const list = document.createElement("ul");
+  list.className = "changes-banner-list";
+  for (const { show, entry } of unseen.slice(0, 5)) {
+    for (const change of entry.changes) {
+      const item = document.createElement("li");
+      const name = document.createElement("strong");
+      name.textContent = show.name;
+      item.appendChild(name);
+      item.appendChild(document.createTextNode(` ${describeChange(change)}`));
+      list.appendChild(item);
+    }
+  }
+
+  const dismissBtn = document.createElement("button");
+  dismissBtn.type = "button";
+  dismissBtn.className = "changes-banner-dismiss";
+  dismissBtn.title = "Dismiss";
+  dismissBtn.textContent = "✕";
+  dismissBtn.addEventListener("click", dismissShowChanges);
+
+  banner.appendChild(list);
+  banner.appendChild(dismissBtn);
+  banner.style.display = "flex";
+}
+
+async function dismissShowChanges() {
+  try {
+    const shows = await getShows();
+    const updates = shows
+      .filter((show) => (show.changeHistory || []).some((entry) => !entry.seen))
+      .map((show) => ({
+        id: show.id,
+        patch: (latest) => ({
+          changeHistory: (latest.changeHistory || []).map((entry) => ({ ...entry, seen: true }))
+        })
+      }));
+    if (updates.length) {
+      await updateShows(updates);
+    }
+  } catch (err) {
+    console.error("Failed to dismiss show changes", err);
+  }
+  const banner = document.getElementById("changes-banner");
+  if (banner) banner.style.display = "none";
+}
+
 function renderShows(container, shows, options = { interactive: true, clickable: false }) {
   // Remove only the Load More button and loading indicator if they exist
   const existingLoadMoreBtn = container.querySelector(".load-more-btn");
@@ -1826,9 +2174,46 @@ function renderShows(container, shows, options = { interactive: true, clickable:
 
 let countdownIntervalId = null;
 
+// The show each card was rendered from, to tell which cards a storage change
+// made stale.
+const renderedShows = new WeakMap();
+
+// Popular/Airing listings only carry a link to each show's next episode.
+// Fetch it once the card scrolls into view, so a page of 50 shows doesn't
+// cost 50 requests up front.
+const linkedNextEpisodes = new Map();
+const nextEpisodeObserver = new IntersectionObserver((entries) => {
+  entries.forEach((entry) => {
+    if (!entry.isIntersecting) return;
+    nextEpisodeObserver.unobserve(entry.target);
+    loadLinkedNextEpisode(entry.target);
+  });
+});
+
+async function loadLinkedNextEpisode(card) {
+  const href = renderedShows.get(card)?.nextEpisodeHref;
+  if (!href) return;
+  if (!linkedNextEpisodes.has(href)) {
+    linkedNextEpisodes.set(href, fetchLinkedNextEpisode(href));
+  }
+  const episode = await linkedNextEpisodes.get(href);
+  const timer = card.querySelector(".show-timer");
+  if (!episode?.airstamp || !timer) return;
+
+  timer.dataset.airstamp = episode.airstamp;
+  const countdownInfo = getCountdownInfo(episode.airstamp);
+  if (countdownInfo.mode === "upcoming" && countdownInfo.days === 0) {
+    timer.classList.add("countdown-soon");
+  }
+  updateTimerElement(timer, countdownInfo);
+  startCountdownLoop();
+}
+
 function createShowCard(show, interactive, clickable = false) {
   const card = document.createElement("div");
   card.className = "card show-card";
+  card.dataset.showId = String(show.id);
+  renderedShows.set(card, show);
 
   // Add priority styling
   if (show.priority) {
@@ -1881,6 +2266,23 @@ function createShowCard(show, interactive, clickable = false) {
   textWrap.appendChild(title);
   textWrap.appendChild(sub);
 
+  // When the data was last refreshed, and whether the last attempt failed
+  if (interactive && (show.allEpisodesLastFetchedAt || show.refreshError)) {
+    const refreshStatus = document.createElement("div");
+    refreshStatus.className = "show-refresh-status";
+    const updatedText = show.allEpisodesLastFetchedAt
+      ? `Updated ${formatTimeAgo(show.allEpisodesLastFetchedAt)}`
+      : "Never updated";
+    if (show.refreshError) {
+      refreshStatus.classList.add("failed");
+      refreshStatus.textContent = `${updatedText} • ⚠ Refresh failed`;
+      refreshStatus.title = `${show.refreshError.message} (${formatTimeAgo(show.refreshError.at)})`;
+    } else {
+      refreshStatus.textContent = updatedText;
+    }
+    textWrap.appendChild(refreshStatus);
+  }
+
   main.appendChild(textWrap);
 
   // Chevron expand icon
@@ -1913,9 +2315,7 @@ function createShowCard(show, interactive, clickable = false) {
     // Watch link button - show + or Play based on whether link exists
     if (show.watchLink) {
       // Check if new episode has aired since last watched
-      const hasNewEpisode = show.lastWatchedAt && show.nextEpisode?.airstamp &&
-        new Date(show.nextEpisode.airstamp) < new Date() &&
-        new Date(show.nextEpisode.airstamp) > new Date(show.lastWatchedAt);
+      const hasNewEpisode = hasUnwatchedEpisode(show);
 
       // Play button (has link)
       const playBtn = document.createElement("button");
@@ -1954,6 +2354,18 @@ function createShowCard(show, interactive, clickable = false) {
       actionsContainer.appendChild(addLinkBtn);
     }
 
+    // Refresh this show now
+    const refreshBtn = document.createElement("button");
+    refreshBtn.type = "button";
+    refreshBtn.className = "show-refresh-btn";
+    refreshBtn.title = "Refresh now";
+    refreshBtn.textContent = "↻";
+    refreshBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      refreshShowsNow([show.id]);
+    });
+    actionsContainer.appendChild(refreshBtn);
+
     // Remove button
     const removeBtn = document.createElement("button");
     removeBtn.type = "button";
@@ -1969,23 +2381,28 @@ function createShowCard(show, interactive, clickable = false) {
     header.appendChild(actionsContainer);
   }
 
-  // Handle movies differently - show "Not episodic" instead of countdown
+  // Movies count down to their next release in the user's region
   const isMovie = contentType === "movies";
+  const nextRelease = isMovie ? getNextRelease(show.releases, getReleaseRegion()) : null;
+  const airstamp = isMovie ? nextRelease?.airstamp : show.nextEpisode?.airstamp;
   const meta = document.createElement("div");
   meta.className = "show-countdown";
 
   const timer = document.createElement("div");
   timer.className = "show-timer";
 
-  if (isMovie) {
-    meta.textContent = "Not episodic";
-    timer.textContent = "Movies are not episodic content";
+  if (isMovie && !nextRelease) {
+    // Release dates are only known for tracked movies
+    const releases = Array.isArray(show.releases) ? show.releases : [];
+    const firstRelease = releases.find(release => release.country === getReleaseRegion()) || releases[0];
+    meta.textContent = firstRelease ? "Released" : "Not episodic";
+    timer.textContent = firstRelease ? formatReleaseLabel(firstRelease) : "Movies are not episodic content";
     timer.className = "show-timer movie-timer";
   } else {
-    const countdownInfo = getCountdownInfo(show.nextEpisode?.airstamp);
-    meta.textContent = countdownInfo.label;
-  if (show.nextEpisode?.airstamp) {
-    timer.dataset.airstamp = show.nextEpisode.airstamp;
+    const countdownInfo = getCountdownInfo(airstamp);
+    meta.textContent = isMovie ? formatReleaseLabel(nextRelease) : countdownInfo.label;
+  if (airstamp) {
+    timer.dataset.airstamp = airstamp;
 
       // Add "countdown-soon" class if airing within 24 hours
       if (countdownInfo.mode === "upcoming" && countdownInfo.days === 0) {
@@ -1999,6 +2416,10 @@ function createShowCard(show, interactive, clickable = false) {
   content.appendChild(timer);
   card.appendChild(content);
 
+  if (!airstamp && show.nextEpisodeHref) {
+    nextEpisodeObserver.observe(card);
+  }
+
   if (interactive || clickable) {
     attachDetailsToggle(card, show);
   }
@@ -2048,6 +2469,29 @@ function toggleShowDetails(card, show) {
   populateShowDetails(details, show);
 }
 
+// Anime episode lists loaded into open details drawers, for the
+// "remaining" count: details element -> { episodes, skipFiller }
+const drawerEpisodeInfo = new WeakMap();
+
+function updateProgressDisplay(detailsEl, watched) {
+  const progressText = detailsEl.querySelector(".progress-text");
+  if (progressText) {
+    progressText.textContent = `Ep ${watched}`;
+  }
+
+  const remainingEl = detailsEl.querySelector(".progress-remaining");
+  const info = drawerEpisodeInfo.get(detailsEl);
+  if (!remainingEl || !info) return;
+
+  const counted = info.skipFiller
+    ? info.episodes.filter((ep) => !ep.filler && !ep.recap)
+    : info.episodes;
+  const remaining = counted.filter((ep) => ep.number > watched).length;
+  remainingEl.textContent = remaining
+    ? `${remaining} remaining${info.skipFiller ? " (no filler)" : ""}`
+    : "All caught up";
+}
+
 async function populateShowDetails(detailsEl, show) {
   const cleanText = (htmlString) => {
     if (typeof htmlString !== "string") return "";
@@ -2086,6 +2530,10 @@ async function populateShowDetails(detailsEl, show) {
   const premieredItem = createDetail("Premiered", show.premiered || "Unknown");
   grid.appendChild(premieredItem);
 
+  if (show.runtime && contentType === "movies") {
+    grid.appendChild(createDetail("Runtime", `${show.runtime} min`));
+  }
+
   // Genres (placeholder)
   const genresItem = createDetail("Genres", fallbackGenres);
   grid.appendChild(genresItem);
@@ -2110,9 +2558,13 @@ async function populateShowDetails(detailsEl, show) {
   minusBtn.className = "progress-btn";
   minusBtn.textContent = "−"; // minus sign
   minusBtn.title = "Decrement episode";
+  // Filler/recap episode numbers, once the anime episode list is loaded and
+  // the user skips them
+  let progressSkip = null;
+
   minusBtn.onclick = (e) => {
     e.stopPropagation();
-    updateWatchedProgress(show.id, -1);
+    updateWatchedProgress(show.id, -1, progressSkip);
   };
 
   const plusBtn = document.createElement("button");
@@ -2121,7 +2573,7 @@ async function populateShowDetails(detailsEl, show) {
   plusBtn.title = "Increment episode";
   plusBtn.onclick = (e) => {
     e.stopPropagation();
-    updateWatchedProgress(show.id, 1);
+    updateWatchedProgress(show.id, 1, progressSkip);
   };
 
   const progressText = document.createElement("span");
@@ -2134,17 +2586,69 @@ async function populateShowDetails(detailsEl, show) {
   progressContainer.appendChild(progressText);
   progressContainer.appendChild(plusBtn);
 
+  const progressRemaining = document.createElement("span");
+  progressRemaining.className = "progress-remaining";
+
   progressLine.appendChild(progressLabel);
   progressLine.appendChild(progressContainer);
+  progressLine.appendChild(progressRemaining);
 
   detailsEl.appendChild(progressLine);
 
+  // Reminder lead time for this show
+  const reminderLine = document.createElement("div");
+  reminderLine.className = "show-details-line";
+  reminderLine.style.alignItems = "center";
+
+  const reminderLabel = document.createElement("span");
+  reminderLabel.className = "show-details-label";
+  reminderLabel.textContent = "Reminder";
+
+  const reminderSelect = document.createElement("select");
+  reminderSelect.className = "reminder-select";
+  REMINDER_OPTIONS.forEach((option) => {
+    const opt = document.createElement("option");
+    opt.value = option.value;
+    opt.textContent = option.label;
+    reminderSelect.appendChild(opt);
+  });
+  reminderSelect.value = reminderToOptionValue(show.reminder);
+  reminderSelect.addEventListener("click", (e) => e.stopPropagation());
+  reminderSelect.addEventListener("change", (e) => {
+    e.stopPropagation();
+    updateShowReminder(show.id, e.target.value);
+  });
+
+  reminderLine.appendChild(reminderLabel);
+  reminderLine.appendChild(reminderSelect);
+
+  detailsEl.appendChild(reminderLine);
+
   // 2. Next Episode Highlight (Full Width)
   const nextEpEl = document.createElement("div");
   nextEpEl.className = "detail-item detail-highlight"; // Reusing item structure but with highlight class
   // Will populate logic below
   detailsEl.appendChild(nextEpEl);
 
+  // Recent status, network, schedule and season changes
+  const history = Array.isArray(show.changeHistory) ? show.changeHistory : [];
+  if (history.length) {
+    const changesEl = document.createElement("div");
+    changesEl.className = "detail-item detail-full-width show-change-history";
+    const label = document.createElement("div");
+    label.className = "detail-label";
+    label.textContent = "Changes";
+    changesEl.appendChild(label);
+    history.slice(-3).reverse().forEach((entry) => {
+      const row = document.createElement("div");
+      row.className = "detail-value";
+      const when = new Date(entry.at).toLocaleDateString();
+      row.textContent = `${when} • ${entry.changes.map(describeChange).join(", ")}`;
+      changesEl.appendChild(row);
+    });
+    detailsEl.appendChild(changesEl);
+  }
+
   // 3. Summary
   const summaryEl = document.createElement("div");
   summaryEl.className = "summary-text";
@@ -2159,8 +2663,35 @@ async function populateShowDetails(detailsEl, show) {
   // Check Types and Populate
   const isAnime = show.contentType === "anime" || String(show.id).startsWith("jikan-");
   const isMovie = show.contentType === "movies";
+  const malId = isAnime ? getExternalIds(show).mal : null;
+
+  if (isMovie) {
+    const nextRelease = getNextRelease(show.releases, getReleaseRegion());
+    // Release labels come from Wikidata, which anyone can edit; keep them as text.
+    const label = document.createElement("div");
+    label.className = "detail-label";
+    label.textContent = "Next";
+    const value = document.createElement("div");
+    value.className = "detail-value";
+    value.textContent = nextRelease ? formatReleaseLabel(nextRelease) : "No upcoming release";
+    nextEpEl.replaceChildren(label, value);
+    episodesList.innerHTML = "";
+    (show.releases || []).forEach((release) => {
+      const row = document.createElement("div");
+      row.className = "episode-row";
+      const rowTop = document.createElement("div");
+      rowTop.className = "episode-meta";
+      rowTop.textContent = formatReleaseLabel(release);
+      row.appendChild(rowTop);
+      episodesList.appendChild(row);
+    });
+    if (!episodesList.childElementCount) {
+      episodesList.innerHTML = '<div style="opacity:0.5; font-size:11px; text-align:center">No release dates known</div>';
+    }
+    return;
+  }
 
-  if (isAnime || isMovie) {
+  if (isAnime && !malId) {
     if (show.nextEpisode?.airstamp) {
       const dt = new Date(show.nextEpisode.airstamp);
       const when = dt.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
@@ -2172,6 +2703,65 @@ async function populateShowDetails(detailsEl, show) {
     return;
     }
 
+  if (isAnime) {
+    if (show.nextEpisode?.airstamp) {
+      const when = new Date(show.nextEpisode.airstamp).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+      nextEpEl.innerHTML = `<div class="detail-label">Next Episode</div><div class="detail-value">Ep ${show.nextEpisode.number} • ${when}</div>`;
+    } else {
+      nextEpEl.innerHTML = `<div class="detail-label">Next Episode</div><div class="detail-value">Check schedule</div>`;
+    }
+
+    // Jikan's episode list has the filler/recap flags TVmaze lacks
+    try {
+      const [episodes, settings] = await Promise.all([fetchAnimeEpisodes(malId), getSettings()]);
+      const skipFiller = !!settings.skipFillerEpisodes;
+      const isSkipped = (ep) => skipFiller && (ep.filler || ep.recap);
+      if (skipFiller) {
+        progressSkip = new Set(episodes.filter(isSkipped).map((ep) => ep.number));
+      }
+      drawerEpisodeInfo.set(detailsEl, { episodes, skipFiller });
+      updateProgressDisplay(detailsEl, show.watchedEpisode || 0);
+
+      if (!episodes.length) {
+        episodesList.innerHTML = '<div style="opacity:0.5; font-size:11px; text-align:center">No episodes found</div>';
+        return;
+      }
+
+      // The next few to watch, or the latest ones once caught up
+      const watched = show.watchedEpisode || 0;
+      const upNext = episodes.filter((ep) => ep.number > watched && !isSkipped(ep));
+      const episodesToShow = upNext.length ? upNext.slice(0, 5) : episodes.slice(-5).reverse();
+
+      episodesList.innerHTML = "";
+      episodesToShow.forEach((ep) => {
+        const row = document.createElement("div");
+        row.className = "episode-row";
+
+        const airDate = ep.airstamp ? new Date(ep.airstamp).toLocaleDateString() : "";
+        const score = ep.score ? `★ ${ep.score.toFixed(1)}` : "";
+
+        const rowTop = document.createElement("div");
+        rowTop.className = "episode-meta";
+        rowTop.textContent = [`Ep ${ep.number}`, ep.name, airDate, score].filter(Boolean).join(" • ");
+
+        for (const flag of ["filler", "recap"]) {
+          if (!ep[flag]) continue;
+          const badge = document.createElement("span");
+          badge.className = `episode-flag ${flag}`;
+          badge.textContent = flag === "filler" ? "Filler" : "Recap";
+          rowTop.appendChild(badge);
+        }
+
+        row.appendChild(rowTop);
+        episodesList.appendChild(row);
+      });
+    } catch (err) {
+      console.error("Failed to load anime episodes", err);
+      episodesList.innerHTML = '<div style="opacity:0.5; font-size:11px; text-align:center">Unable to load episodes</div>';
+    }
+    return;
+  }
+
   // Next Episode for TV (Stored data first)
     if (show.nextEpisode?.airstamp) {
       const dt = new Date(show.nextEpisode.airstamp);
@@ -2183,10 +2773,8 @@ async function populateShowDetails(detailsEl, show) {
 
   // Async Fetch for TV Shows
   try {
-    const [fetchedShow, fetchedEpisodes] = await Promise.all([
-      fetchShow(show.id).catch(() => null),
-      fetchEpisodes(show.id).catch(() => [])
-    ]);
+    const { show: fetchedShow, episodes: fetchedEpisodes } = await fetchShowWithEpisodes(show.id)
+      .catch(() => ({ show: null, episodes: [] }));
 
     if (fetchedShow) {
       // Update Grid Items
@@ -2283,6 +2871,29 @@ function sortShows(shows, mode) {
   return copy;
 }
 
+// Country whose release dates apply to the user, from the browser locale
+// ("en-GB" -> "GB", a bare "de" -> "DE")
+function getReleaseRegion() {
+  try {
+    return new Intl.Locale(navigator.language).maximize().region || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// e.g. "Theatrical release (US) • Dec 18, 2026"
+function formatReleaseLabel(release) {
+  const [year, month, day] = release.date.split("-").map(Number);
+  const date = new Date(year, month - 1, day);
+  const when = release.precision === "year"
+    ? String(year)
+    : release.precision === "month"
+      ? date.toLocaleDateString(undefined, { month: "long", year: "numeric" })
+      : date.toLocaleDateString(undefined, { dateStyle: "medium" });
+  const format = release.format ? release.format.charAt(0).toUpperCase() + release.format.slice(1) : "Release";
+  return `${format}${release.country ? ` (${release.country})` : ""} • ${when}`;
+}
+
 function getCountdownInfo(airstamp) {
   if (!airstamp) {
     return { mode: "none", label: "No upcoming episodes", progress: 100 };
@@ -2445,6 +3056,19 @@ function createSearchResultItem(show, index, inputEl, resultsEl) {
         textWrap.appendChild(meta);
       }
 
+      // Which APIs this result came from (multi-source search only)
+      if (Array.isArray(show.sources) && show.sources.length) {
+        const badges = document.createElement("div");
+        badges.className = "search-result-sources";
+        show.sources.forEach((source) => {
+          const badge = document.createElement("span");
+          badge.className = `search-source-badge source-${source}`;
+          badge.textContent = SOURCE_LABELS[source] || source;
+          badges.appendChild(badge);
+        });
+        textWrap.appendChild(badges);
+      }
+
   // Add clickable genres
   if (show.genres && show.genres.length > 0) {
     const genresContainer = document.createElement("div");
@@ -2479,48 +3103,117 @@ function createSearchResultItem(show, index, inputEl, resultsEl) {
   return item;
 }
 
+function createSearchSuggestion(suggestion, inputEl, resultsEl) {
+  const item = document.createElement("div");
+  item.className = "search-suggestion";
+  item.textContent = "Did you mean ";
+
+  const link = document.createElement("button");
+  link.type = "button";
+  link.className = "search-suggestion-link";
+  link.textContent = suggestion;
+  link.addEventListener("click", (e) => {
+    e.stopPropagation();
+    inputEl.value = suggestion;
+    runSearch(inputEl, resultsEl);
+  });
+
+  item.appendChild(link);
+  item.appendChild(document.createTextNode("?"));
+  return item;
+}
+
 async function runSearch(inputEl, resultsEl) {
   const query = inputEl.value;
   resultsEl.textContent = "Searching…";
 
   try {
-    const results = await searchShows(query);
-    if (!results.length) {
+    const { groups, suggestion } = await searchAllSources(query);
+    const total = Object.values(groups).reduce((sum, group) => sum + group.length, 0);
+    if (!total) {
       resultsEl.textContent = "No results. Try a different search term.";
       return;
     }
 
     resultsEl.innerHTML = "";
-    results.forEach((show, index) => {
-      const item = createSearchResultItem(show, index, inputEl, resultsEl);
-      resultsEl.appendChild(item);
-    });
+    if (suggestion) {
+      resultsEl.appendChild(createSearchSuggestion(suggestion, inputEl, resultsEl));
+    }
+
+    let index = 0;
+    for (const [contentType, results] of Object.entries(groups)) {
+      if (!results.length) continue;
+      const heading = document.createElement("div");
+      heading.className = "search-group-title";
+      heading.textContent = CONTENT_TYPE_LABELS[contentType] || contentType;
+      resultsEl.appendChild(heading);
+
+      results.forEach((show) => {
+        const item = createSearchResultItem(show, index++, inputEl, resultsEl);
+        resultsEl.appendChild(item);
+      });
+    }
   } catch (err) {
     console.error(err);
-    resultsEl.textContent = "Offline or TVmaze unavailable.";
+    resultsEl.textContent = "Offline or search unavailable.";
   }
 }
 
-async function addShowFromSearch(showSummary) {
-  const stored = await chrome.storage.sync.get("shows");
-  const shows = Array.isArray(stored.shows) ? stored.shows : [];
-  if (shows.some((s) => s.id === showSummary.id)) {
+async function addShowFromSearch(showSummary, { reminder = null } = {}) {
+  // The same title may already be tracked under another source's ID
+  const [shows, identity] = await Promise.all([getShows(), resolveIdentity(showSummary)]);
+  const tracked = shows.find((s) => String(s.id) === String(showSummary.id))
+    || findTrackedShow(shows, identity.externalIds);
+  if (tracked) {
     const container = document.getElementById("shows-container");
     if (container) {
       renderShows(container, shows, { interactive: true });
     }
+    showToast(`${tracked.name} is already in your shows`);
     return;
   }
 
+  // Anime Wikidata doesn't link to TVmaze may still be there under its title;
+  // TVmaze has the episode data.
+  if (showSummary.contentType === "anime" && String(identity.id).startsWith("jikan-")) {
+    let tvmazeShow = null;
+    try {
+      tvmazeShow = await findTvmazeAnime(showSummary);
+    } catch (err) {
+      console.error("TVmaze anime match failed", err);
+    }
+    if (tvmazeShow) {
+      const trackedOnTvmaze = shows.find((s) => String(s.id) === String(tvmazeShow.id));
+      if (trackedOnTvmaze) {
+        showToast(`${trackedOnTvmaze.name} is already in your shows`);
+        return;
+      }
+      identity.id = tvmazeShow.id;
+      identity.externalIds = { ...identity.externalIds, tvmaze: String(tvmazeShow.id) };
+    }
+  }
+
+  // Store under the canonical ID, e.g. a Wikidata result TVmaze also knows
+  if (String(identity.id) !== String(showSummary.id)) {
+    showSummary = {
+      ...showSummary,
+      id: identity.id,
+      malId: showSummary.malId || (identity.externalIds.mal ? Number(identity.externalIds.mal) : undefined),
+      contentType: String(identity.id).startsWith("jikan-") ? "anime" : showSummary.contentType
+    };
+  }
+
   const contentType = showSummary.contentType || "tv";
   // Preserve nextEpisode from showSummary if it exists (from Airing/Popular views)
   let nextEpisode = showSummary.nextEpisode || null;
+  let latestEpisode = showSummary.latestEpisode || null;
   let fetchedAt = null;
   let showInfo = null;
   let genres = Array.isArray(showSummary.genres) ? showSummary.genres : [];
   let status = showSummary.status || null;
   let summary = showSummary.summary || "";
   let image = showSummary.image || null;
+  let releases = null;
 
   try {
     if (contentType === "anime" && showSummary.malId) {
@@ -2531,22 +3224,21 @@ async function addShowFromSearch(showSummary) {
         status = jikanData.status || status;
         summary = jikanData.synopsis || summary;
         image = jikanData.image || image;
+        nextEpisode = jikanData.nextEpisode || nextEpisode;
       }
 
       // Then get TVmaze data for episodes and countdown
       // Convert ID to string for comparison (TVmaze returns numeric IDs)
       const showIdStr = String(showSummary.id);
       if (showSummary.id && !showIdStr.startsWith("wd-") && !showIdStr.startsWith("jikan-")) {
-    const [info, episodes] = await Promise.all([
-      fetchShow(showSummary.id),
-      fetchEpisodes(showSummary.id)
-    ]);
-    showInfo = info;
+        const { show: info, episodes } = await fetchShowWithEpisodes(showSummary.id);
+        showInfo = info;
         // Only update nextEpisode if we got a valid result, otherwise keep the one from showSummary
         const computedNextEpisode = computeNextEpisode(episodes);
         if (computedNextEpisode) {
           nextEpisode = computedNextEpisode;
         }
+        latestEpisode = computeLatestAiredEpisode(episodes) || latestEpisode;
         fetchedAt = new Date().toISOString();
 
         if (showInfo) {
@@ -2568,10 +3260,7 @@ async function addShowFromSearch(showSummary) {
       const showIdStr = String(showSummary.id);
       if (!showIdStr.startsWith("wd-")) {
         // Fetch TV show details from TVmaze
-        const [info, episodes] = await Promise.all([
-          fetchShow(showSummary.id),
-          fetchEpisodes(showSummary.id)
-        ]);
+        const { show: info, episodes } = await fetchShowWithEpisodes(showSummary.id);
         showInfo = info;
         console.log(`[addShowFromSearch] Fetched ${episodes.length} episodes for "${showSummary.name}"`);
         // Only update nextEpisode if we got a valid result, otherwise keep the one from showSummary
@@ -2580,6 +3269,7 @@ async function addShowFromSearch(showSummary) {
         if (computedNextEpisode) {
           nextEpisode = computedNextEpisode;
         }
+        latestEpisode = computeLatestAiredEpisode(episodes) || latestEpisode;
         fetchedAt = new Date().toISOString();
 
         if (showInfo) {
@@ -2597,7 +3287,10 @@ async function addShowFromSearch(showSummary) {
         fetchedAt = new Date().toISOString();
       }
     } else if (contentType === "movies") {
-      // Movies don't have episodes, just use the summary data
+      // Movies don't have episodes; their release dates drive the countdown
+      if (identity.externalIds.wikidata) {
+        releases = await fetchReleaseDates(identity.externalIds.wikidata);
+      }
       fetchedAt = new Date().toISOString();
     }
   } catch (err) {
@@ -2612,18 +3305,48 @@ async function addShowFromSearch(showSummary) {
     status,
     summary,
     nextEpisode,
+    latestEpisode,
     allEpisodesLastFetchedAt: fetchedAt,
     watched: false,
     watchedAt: null,
-    contentType: contentType
+    contentType: contentType,
+    externalIds: identity.externalIds,
+    identityResolvedAt: identity.complete ? new Date().toISOString() : null
   };
+  if (reminder) {
+    newShow.reminder = reminder;
+  }
+  if (contentType === "movies") {
+    newShow.premiered = showSummary.premiered || null;
+    newShow.runtime = showSummary.runtime || null;
+  }
+  if (releases) {
+    newShow.releases = releases;
+  }
+  // Cross-IDs from multi-source search, kept for later lookups
+  for (const key of ["malId", "imdbId", "wikidataId"]) {
+    if (showSummary[key]) newShow[key] = showSummary[key];
+  }
 
   console.log(`[addShowFromSearch] Final newShow object:`, newShow);
 
-  const updated = [...shows, newShow];
-  await chrome.storage.sync.set({ shows: updated });
+  // addShow re-checks for duplicates under the store lock, in case the same
+  // show was added elsewhere while the details were being fetched.
+  let added;
+  try {
+    ({ added } = await addShow(newShow));
+  } catch (err) {
+    console.error("Failed to save new show", err);
+    // Sync storage rejects writes past its quota with a "QUOTA_BYTES..." message.
+    const reason = /quota/i.test(err?.message || "") ? "storage is full" : err?.message || String(err);
+    showToast(`Couldn't add ${newShow.name}: ${reason}`, "error");
+    return;
+  }
 
-  showToast(`Added ${newShow.name} to your shows!`);
+  const addedMessage = reminder
+    ? `Tracking ${newShow.name}: you'll be notified when it premieres`
+    : `Added ${newShow.name} to your shows!`;
+  showToast(added ? addedMessage : `${newShow.name} is already in your shows`);
 
   // Always switch to my-shows view and refresh to show the newly added show with countdown
   currentPage = 1; // Reset pagination
@@ -2638,10 +3361,7 @@ async function addShowFromSearch(showSummary) {
 }
 
 async function onRemoveShow(showId) {
-  const stored = await chrome.storage.sync.get("shows");
-  const shows = Array.isArray(stored.shows) ? stored.shows : [];
-  const updated = shows.filter((s) => s.id !== showId);
-  await chrome.storage.sync.set({ shows: updated });
+  const updated = await removeShow(showId);
 
   const container = document.getElementById("shows-container");
   if (container) {
@@ -2665,8 +3385,7 @@ async function handleMyShowsInfiniteScroll() {
   if (!container) return;
 
   // Get all shows to check if there's more
-  const stored = await chrome.storage.sync.get("shows");
-  const shows = Array.isArray(stored.shows) ? stored.shows : [];
+  const shows = await getShows();
   
   if (!shows.length) return;
 
@@ -2747,8 +3466,7 @@ function setupInfiniteScrollObserver() {
     async (entries) => {
       const entry = entries[0];
       if (entry.isIntersecting && !isLoadingMore && currentView === "my-shows") {
-        const stored = await chrome.storage.sync.get("shows");
-        const shows = Array.isArray(stored.shows) ? stored.shows : [];
+        const shows = await getShows();
         
         if (!shows.length) return;
 
@@ -0,0 +1,283 @@
+// Background refresh of tracked shows, dispatched by source:
+// TVmaze for numeric IDs, Jikan for "jikan-<malId>", Wikidata for "wd-<qid>".
+// Each source has its own refresh policy; failures are recorded per show in
+// `refreshError` and retried with backoff instead of on every run.
+
+import {
+  fetchShowWithEpisodes,
+  computeNextEpisode,
+  computeLatestAiredEpisode,
+  isFetchStale,
+  fetchShowUpdates
+} from "./tvmazeApi.js";
+import { fetchAnimeDetails } from "./jikanApi.js";
+import { fetchWikidataItem, fetchReleaseDates } from "./wikidataApi.js";
+import { getSettings } from "./settings.js";
+import { getShows, updateShows } from "./showStore.js";
+import { detectShowChanges, appendChangeHistory, notifyShowChanges } from "./showChanges.js";
+
+const LAST_SYNC_KEY = "lastShowSyncAt";
+const ONE_HOUR_MS = 60 * 60 * 1000;
+const ONE_DAY_MS = 24 * ONE_HOUR_MS;
+
+// maxAgeMs: how old data may get before it is refetched.
+// retryBaseMs / retryMaxMs: backoff after consecutive failures.
+// The TVmaze maxAgeMs comes from settings.refreshIntervalHours and is only
+// used when the updates feed is unavailable.
+const REFRESH_POLICIES = {
+  tvmaze: {
+    retryBaseMs: 30 * 60 * 1000,
+    retryMaxMs: ONE_DAY_MS
+  },
+  jikan: {
+    maxAgeMs: 12 * ONE_HOUR_MS,
+    finishedMaxAgeMs: 7 * ONE_DAY_MS,
+    retryBaseMs: ONE_HOUR_MS,
+    retryMaxMs: 2 * ONE_DAY_MS
+  },
+  wikidata: {
+    maxAgeMs: 7 * ONE_DAY_MS,
+    retryBaseMs: 6 * ONE_HOUR_MS,
+    retryMaxMs: 7 * ONE_DAY_MS
+  }
+};
+
+/**
+ * Which API a stored show is refreshed from
+ * @param {Object} show - Stored show
+ * @returns {string|null} - "tvmaze", "jikan", "wikidata", or null for sample/unknown IDs
+ */
+export function getShowSource(show) {
+  const id = String(show.id);
+  if (id.startsWith("jikan-")) return "jikan";
+  if (id.startsWith("wd-")) return "wikidata";
+  if (/^\d+$/.test(id)) return "tvmaze";
+  return null;
+}
+
+function isInRetryBackoff(show, policy) {
+  const error = show.refreshError;
+  if (!error) return false;
+  const failedAt = Date.parse(error.at);
+  if (Number.isNaN(failedAt)) return false;
+  const delay = Math.min(policy.retryMaxMs, policy.retryBaseMs * 2 ** Math.max(0, (error.count || 1) - 1));
+  return Date.now() - failedAt < delay;
+}
+
+// Pick the smallest TVmaze updates window that covers the time since the last
+// successful sync. Older than a month means the feed can't tell us, so every
+// show is checked by age instead.
+function getUpdatesWindow(lastSyncIso) {
+  const last = Date.parse(lastSyncIso);
+  if (Number.isNaN(last)) return null;
+  const age = Date.now() - last;
+  if (age <= ONE_DAY_MS) return "day";
+  if (age <= 7 * ONE_DAY_MS) return "week";
+  if (age <= 30 * ONE_DAY_MS) return "month";
+  return null;
+}
+
+function hasAiredNextEpisode(show) {
+  const nextAirTime = Date.parse(show.nextEpisode?.airstamp);
+  return !Number.isNaN(nextAirTime) && nextAirTime <= Date.now();
+}
+
+function needsTvmazeRefresh(show, context) {
+  if (!show.allEpisodesLastFetchedAt) return true;
+  // An aired nextEpisode has to move forward even if TVmaze changed nothing.
+  if (hasAiredNextEpisode(show)) return true;
+
+  if (context.updates) {
+    const changedAt = context.updates[show.id];
+    return typeof changedAt === "number" && changedAt > (show.updated || 0);
+  }
+  return isFetchStale(show.allEpisodesLastFetchedAt, context.tvmazeMaxAgeMs);
+}
+
+function needsJikanRefresh(show) {
+  if (hasAiredNextEpisode(show)) return true;
+  const policy = REFRESH_POLICIES.jikan;
+  const finished = show.status === "Finished Airing";
+  return isFetchStale(show.allEpisodesLastFetchedAt, finished ? policy.finishedMaxAgeMs : policy.maxAgeMs);
+}
+
+function needsWikidataRefresh(show) {
+  // Movies tracked before release dates were stored
+  if (show.contentType === "movies" && !Array.isArray(show.releases)) return true;
+  return isFetchStale(show.allEpisodesLastFetchedAt, REFRESH_POLICIES.wikidata.maxAgeMs);
+}
+
+function countSeasons(episodes) {
+  const seasons = new Set(episodes.map((ep) => ep.season).filter((season) => typeof season === "number"));
+  return seasons.size ? Math.max(...seasons) : null;
+}
+
+async function refreshFromTvmaze(show, context) {
+  // `fresh` revalidates the shared HTTP cache (cheap with ETags) rather than
+  // trusting entries the popup may have cached hours ago.
+  const { show: info, episodes } = await fetchShowWithEpisodes(show.id, { fresh: true });
+  const patch = {
+    nextEpisode: computeNextEpisode(episodes),
+    latestEpisode: computeLatestAiredEpisode(episodes),
+    seasonCount: countSeasons(episodes),
+    updated: context.updates?.[show.id] ?? Math.floor(Date.now() / 1000)
+  };
+
+  if (info) {
+    patch.status = info.status || show.status || null;
+    patch.network = info.network?.name || info.webChannel?.name || null;
+    patch.schedule = info.schedule ? { time: info.schedule.time || "", days: info.schedule.days || [] } : null;
+    // Shows added on another device arrive through sync with only their user
+    // state; the rest of the metadata is local and is filled in here.
+    patch.genres = Array.isArray(info.genres) ? info.genres : show.genres || [];
+    if (typeof info.summary === "string") {
+      patch.summary = info.summary.replace(/<[^>]+>/g, "");
+    }
+    patch.image = info.image?.medium || info.image?.original || show.image || null;
+  }
+  return patch;
+}
+
+async function refreshFromJikan(show) {
+  const malId = show.malId || String(show.id).slice("jikan-".length);
+  const anime = await fetchAnimeDetails(malId, { fresh: true });
+  if (!anime) {
+    throw new Error(`Jikan returned no data for MAL ID ${malId}`);
+  }
+
+  return {
+    malId: anime.malId,
+    status: anime.status || show.status,
+    genres: anime.genres.length ? anime.genres : show.genres,
+    summary: anime.synopsis || show.summary,
+    image: anime.image || show.image,
+    episodeCount: anime.episodes,
+    nextEpisode: anime.nextEpisode
+  };
+}
+
+async function refreshFromWikidata(show) {
+  const qid = String(show.id).slice("wd-".length);
+  const item = await fetchWikidataItem(qid, { fresh: true });
+  if (!item) {
+    throw new Error(`Wikidata returned no data for ${qid}`);
+  }
+
+  const patch = {
+    imdbId: item.imdbId || show.imdbId || null,
+    tvmazeId: item.tvmazeId || show.tvmazeId || null,
+    malId: item.malId || show.malId || null
+  };
+  if (item.released) {
+    patch.premiered = item.released;
+    patch.status = Date.parse(item.released) > Date.now() ? "Upcoming" : "Released";
+  }
+  // Per-country release dates for the movie countdown
+  if (show.contentType === "movies") {
+    patch.releases = await fetchReleaseDates(qid, { fresh: true });
+  }
+  return patch;
+}
+
+const SOURCES = {
+  tvmaze: { needsRefresh: needsTvmazeRefresh, refresh: refreshFromTvmaze },
+  jikan: { needsRefresh: needsJikanRefresh, refresh: refreshFromJikan },
+  wikidata: { needsRefresh: needsWikidataRefresh, refresh: refreshFromWikidata }
+};
+
+function isRefreshDue(show, context) {
+  const sourceName = getShowSource(show);
+  const source = SOURCES[sourceName];
+  if (!source) return false;
+  if (context.force) return true;
+  return !isInRetryBackoff(show, REFRESH_POLICIES[sourceName]) && source.needsRefresh(show, context);
+}
+
+// Returns the fields to patch onto the show. Only called for shows that are due.
+async function refreshShow(show, context) {
+  const sourceName = getShowSource(show);
+  const source = SOURCES[sourceName];
+
+  try {
+    const patch = await source.refresh(show, context);
+    const changes = detectShowChanges(show, patch);
+    if (changes.length) {
+      patch.changeHistory = appendChangeHistory(show, changes);
+    }
+    return {
+      ...patch,
+      allEpisodesLastFetchedAt: new Date().toISOString(),
+      refreshError: null
+    };
+  } catch (err) {
+    console.error(`Failed to refresh show from ${sourceName}`, show.id, err);
+    return {
+      refreshError: {
+        source: sourceName,
+        message: err?.message || String(err),
+        at: new Date().toISOString(),
+        count: (show.refreshError?.count || 0) + 1
+      }
+    };
+  }
+}
+
+/**
+ * Refresh tracked shows from their sources and save the results
+ * @param {Object} options - { force, showIds, onProgress }
+ *   force: refresh even if not due (manual "Refresh now"),
+ *   showIds: only refresh these shows,
+ *   onProgress: called with { done, total } after each show
+ * @returns {Promise<{refreshed: number, failed: number}>}
+ */
+export async function refreshAllShows({ force = false, showIds = null, onProgress } = {}) {
+  const allShows = await getShows();
+  const wanted = showIds ? new Set(showIds.map(String)) : null;
+  const shows = wanted ? allShows.filter((show) => wanted.has(String(show.id))) : allShows;
+  if (!shows.length) return { refreshed: 0, failed: 0 };
+
+  const settings = await getSettings();
+  const syncStartedAt = new Date().toISOString();
+  const local = await chrome.storage.local.get(LAST_SYNC_KEY);
+  const updatesWindow = getUpdatesWindow(local[LAST_SYNC_KEY]);
+  const hasTvmazeShows = shows.some((show) => getShowSource(show) === "tvmaze");
+
+  const context = {
+    force,
+    tvmazeMaxAgeMs: Math.max(1, Number(settings.refreshIntervalHours) || 24) * ONE_HOUR_MS,
+    // A forced run refetches everything anyway, so the feed isn't needed.
+    updates: !force && updatesWindow && hasTvmazeShows ? await fetchShowUpdates(updatesWindow) : null
+  };
+
+  const due = shows.filter((show) => isRefreshDue(show, context));
+  const updates = [];
+  let failed = 0;
+
+  for (const show of due) {
+    const patch = await refreshShow(show, context);
+    if (patch.refreshError) failed++;
+    // `show` is the snapshot the patch was computed from; edits made in the
+    // popup while we were fetching are merged rather than overwritten.
+    updates.push({ id: show.id, patch, base: show });
+    onProgress?.({ done: updates.length, total: due.length });
+  }
+
+  // One write for the whole run keeps within chrome.storage.sync write quotas.
+  if (updates.length) {
+    await updateShows(updates);
+  }
+
+  const changed = updates
+    .filter(({ patch }) => patch.changeHistory)
+    .map(({ base, patch }) => ({ show: base, changes: patch.changeHistory[patch.changeHistory.length - 1].changes }));
+  notifyShowChanges(changed);
+
+  // If the feed was due but failed, keep the old sync time so the next run
+  // asks for a window that still covers the missed changes. A run limited to
+  // some shows says nothing about the others.
+  if (!wanted && (force || context.updates || !updatesWindow || !hasTvmazeShows)) {
+    await chrome.storage.local.set({ [LAST_SYNC_KEY]: syncStartedAt });
+  }
+
+  return { refreshed: updates.length - failed, failed };
+}
@@ -0,0 +1,344 @@
+// Episode reminders for the background service worker.
+// One chrome.alarms entry per tracked show ("episode:<showId>") fires at the
+// show's reminder time (nextEpisode.airstamp minus its lead time) and raises a
+// chrome.notifications alert, or holds it until quiet hours end.
+
+import { getSettings } from "./settings.js";
+import { getShows, updateShow, isWatchLinkUrl } from "./showStore.js";
+
+const EPISODE_ALARM_PREFIX = "episode:";
+const EPISODE_NOTIFICATION_PREFIX = "episode:";
+const QUIET_HOURS_ALARM = "quietHoursEnd";
+const QUIET_HOURS_NOTIFICATION = "quiet-hours-digest";
+const HELD_REMINDERS_KEY = "heldReminders";
+const HELD_REMINDERS_LOCK = "heldReminders";
+const DEFAULT_NOTIFICATION_ICON = "icons/icon128.png";
+
+// Choices offered in the details drawer. "airtime" is the default for shows
+// that have never been configured.
+export const REMINDER_OPTIONS = [
+  { value: "airtime", label: "At air time" },
+  { value: "before:15", label: "15 min before" },
+  { value: "before:30", label: "30 min before" },
+  { value: "before:60", label: "1 hour before" },
+  { value: "before:180", label: "3 hours before" },
+  { value: "before:1440", label: "1 day before" },
+  { value: "off", label: "Off" }
+];
+
+/**
+ * Convert a stored show.reminder object to a REMINDER_OPTIONS value
+ * @param {Object|undefined} reminder - { mode, leadMinutes }
+ * @returns {string} - Option value
+ */
+export function reminderToOptionValue(reminder) {
+  if (!reminder || reminder.mode === "airtime") return "airtime";
+  if (reminder.mode === "off") return "off";
+  return `before:${reminder.leadMinutes || 0}`;
+}
+
+/**
+ * Convert a REMINDER_OPTIONS value to the object stored on show.reminder
+ * @param {string} value - Option value
+ * @returns {Object} - { mode, leadMinutes }
+ */
+export function optionValueToReminder(value) {
+  if (value === "off") return { mode: "off", leadMinutes: 0 };
+  if (value.startsWith("before:")) {
+    const leadMinutes = parseInt(value.slice("before:".length), 10) || 0;
+    return leadMinutes > 0 ? { mode: "before", leadMinutes } : { mode: "airtime", leadMinutes: 0 };
+  }
+  return { mode: "airtime", leadMinutes: 0 };
+}
+
+function getLeadMinutes(show) {
+  const reminder = show.reminder;
+  if (reminder?.mode === "before") return reminder.leadMinutes || 0;
+  return 0;
+}
+
+function episodeAlarmName(showId) {
+  return `${EPISODE_ALARM_PREFIX}${showId}`;
+}
+
+export function isEpisodeAlarm(alarmName) {
+  return typeof alarmName === "string" && alarmName.startsWith(EPISODE_ALARM_PREFIX);
+}
+
+export function isQuietHoursAlarm(alarmName) {
+  return alarmName === QUIET_HOURS_ALARM;
+}
+
+function formatEpisodeCode(episode) {
+  if (!episode || typeof episode.season !== "number" || typeof episode.number !== "number") {
+    return "";
+  }
+  const season = String(episode.season).padStart(2, "0");
+  const number = String(episode.number).padStart(2, "0");
+  return `S${season}E${number}`;
+}
+
+function formatLeadTime(leadMinutes) {
+  if (leadMinutes >= 1440 && leadMinutes % 1440 === 0) {
+    const days = leadMinutes / 1440;
+    return days === 1 ? "1 day" : `${days} days`;
+  }
+  if (leadMinutes >= 60 && leadMinutes % 60 === 0) {
+    const hours = leadMinutes / 60;
+    return hours === 1 ? "1 hour" : `${hours} hours`;
+  }
+  return `${leadMinutes} min`;
+}
+
+function describeReminder(code, leadMinutes) {
+  const subject = code || "A new episode";
+  return leadMinutes > 0
+    ? `${subject} airs in ${formatLeadTime(leadMinutes)}`
+    : `${subject} is airing now`;
+}
+
+// Buttons depend on whether the show has a watch link. The list is encoded in
+// the notification ID, so a click maps to the buttons that were shown even if
+// the link changed since.
+function getNotificationActions(show) {
+  const actions = [];
+  if (isWatchLinkUrl(show.watchLink)) actions.push("open-link");
+  actions.push("mark-watched");
+  return actions;
+}
+
+// "episode:<showId>:<season>:<number>:<action,action>"
+function episodeNotificationId(show, episode, actions) {
+  return `${EPISODE_NOTIFICATION_PREFIX}${show.id}:${episode.season}:${episode.number}:${actions.join(",")}`;
+}
+
+function parseEpisodeNotificationId(notificationId) {
+  const [showId, season, number, actions] = notificationId.slice(EPISODE_NOTIFICATION_PREFIX.length).split(":");
+  return {
+    showId,
+    season: Number(season),
+    number: Number(number),
+    actions: actions ? actions.split(",") : []
+  };
+}
+
+// chrome.notifications only accepts extension or data: URLs, so remote
+// posters are downloaded and inlined. Falls back to the extension icon.
+async function loadNotificationIcon(imageUrl) {
+  if (!imageUrl) return DEFAULT_NOTIFICATION_ICON;
+
+  try {
+    const res = await fetch(imageUrl);
+    if (!res.ok) return DEFAULT_NOTIFICATION_ICON;
+    const blob = await res.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (err) {
+    console.error("Failed to load notification poster", imageUrl, err);
+    return DEFAULT_NOTIFICATION_ICON;
+  }
+}
+
+// "HH:MM" -> minutes since midnight
+function parseClockTime(value) {
+  const [hours, minutes] = String(value || "").split(":").map((part) => parseInt(part, 10));
+  if (Number.isNaN(hours) || Number.isNaN(minutes)) return null;
+  return hours * 60 + minutes;
+}
+
+function isWithinQuietHours(quietHours, date = new Date()) {
+  if (!quietHours?.enabled) return false;
+  const start = parseClockTime(quietHours.start);
+  const end = parseClockTime(quietHours.end);
+  if (start == null || end == null || start === end) return false;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  // Windows like 22:00-08:00 wrap past midnight.
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+function nextQuietHoursEnd(quietHours, from = new Date()) {
+  const end = parseClockTime(quietHours.end) ?? 0;
+  const next = new Date(from);
+  next.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (next.getTime() <= from.getTime()) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next.getTime();
+}
+
+/**
+ * Create, move or clear episode alarms so there is exactly one per show with
+ * an upcoming reminder. Safe to call on every change to `shows`.
+ * @param {Array} shows - Tracked shows as stored in chrome.storage.sync
+ */
+export async function syncEpisodeReminders(shows) {
+  const now = Date.now();
+  const wanted = new Map();
+
+  for (const show of shows) {
+    if (show.reminder?.mode === "off") continue;
+    const airTime = Date.parse(show.nextEpisode?.airstamp);
+    if (Number.isNaN(airTime)) continue;
+
+    // Only future reminder times: a lead time that has already passed would
+    // otherwise fire again on every resync.
+    const remindAt = airTime - getLeadMinutes(show) * 60 * 1000;
+    if (remindAt <= now) continue;
+    wanted.set(episodeAlarmName(show.id), remindAt);
+  }
+
+  const alarms = await chrome.alarms.getAll();
+  const existing = new Map(
+    alarms
+      .filter((alarm) => isEpisodeAlarm(alarm.name))
+      .map((alarm) => [alarm.name, alarm])
+  );
+
+  for (const name of existing.keys()) {
+    if (!wanted.has(name)) {
+      await chrome.alarms.clear(name);
+    }
+  }
+
+  for (const [name, when] of wanted) {
+    if (existing.get(name)?.scheduledTime === when) continue;
+    await chrome.alarms.create(name, { when });
+  }
+}
+
+/**
+ * Raise (or hold during quiet hours) the notification for an episode alarm.
+ * @param {chrome.alarms.Alarm} alarm - Alarm named "episode:<showId>"
+ */
+export async function handleEpisodeAlarm(alarm) {
+  const showId = alarm.name.slice(EPISODE_ALARM_PREFIX.length);
+  const shows = await getShows();
+  const show = shows.find((s) => String(s.id) === showId);
+  if (!show || !show.nextEpisode || show.reminder?.mode === "off") return;
+
+  const settings = await getSettings();
+  if (isWithinQuietHours(settings.quietHours)) {
+    await holdReminder(show, settings.quietHours);
+    return;
+  }
+
+  const episode = show.nextEpisode;
+  const iconUrl = await loadNotificationIcon(show.image);
+  const actions = getNotificationActions(show);
+  const buttons = actions.map((action) => ({
+    title: action === "open-link" ? "Open watch link" : "Mark watched"
+  }));
+
+  // Encode the episode in the ID so "Mark watched" still refers to the aired
+  // episode after a refresh has moved nextEpisode forward.
+  const notificationId = episodeNotificationId(show, episode, actions);
+
+  chrome.notifications.create(notificationId, {
+    type: "basic",
+    iconUrl,
+    title: show.name,
+    message: describeReminder(formatEpisodeCode(episode), getLeadMinutes(show)),
+    buttons,
+    priority: 1
+  });
+}
+
+let heldQueue = Promise.resolve();
+
+// Several episode alarms can fire together at the start of quiet hours; hold
+// the lock across each read-modify-write of heldReminders so none is lost.
+// Same fallback as showStore's lock where navigator.locks is missing.
+function withHeldRemindersLock(fn) {
+  if (typeof navigator !== "undefined" && navigator.locks?.request) {
+    return navigator.locks.request(HELD_REMINDERS_LOCK, fn);
+  }
+  const run = heldQueue.then(fn, fn);
+  heldQueue = run.catch(() => {});
+  return run;
+}
+
+async function holdReminder(show, quietHours) {
+  await withHeldRemindersLock(async () => {
+    const stored = await chrome.storage.local.get(HELD_REMINDERS_KEY);
+    const held = Array.isArray(stored[HELD_REMINDERS_KEY]) ? stored[HELD_REMINDERS_KEY] : [];
+
+    held.push({
+      showId: show.id,
+      name: show.name,
+      code: formatEpisodeCode(show.nextEpisode),
+      airstamp: show.nextEpisode.airstamp
+    });
+    await chrome.storage.local.set({ [HELD_REMINDERS_KEY]: held });
+  });
+
+  const existing = await chrome.alarms.get(QUIET_HOURS_ALARM);
+  if (!existing) {
+    await chrome.alarms.create(QUIET_HOURS_ALARM, { when: nextQuietHoursEnd(quietHours) });
+  }
+}
+
+/**
+ * Send everything held during quiet hours as a single notification.
+ */
+export async function flushHeldReminders() {
+  const held = await withHeldRemindersLock(async () => {
+    const stored = await chrome.storage.local.get(HELD_REMINDERS_KEY);
+    await chrome.storage.local.remove(HELD_REMINDERS_KEY);
+    return Array.isArray(stored[HELD_REMINDERS_KEY]) ? stored[HELD_REMINDERS_KEY] : [];
+  });
+  if (!held.length) return;
+
+  const items = held.map((item) => {
+    const when = new Date(item.airstamp).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+    return {
+      title: item.name,
+      message: item.code ? `${item.code} • ${when}` : when
+    };
+  });
+
+  chrome.notifications.create(QUIET_HOURS_NOTIFICATION, {
+    type: "list",
+    iconUrl: DEFAULT_NOTIFICATION_ICON,
+    title: held.length === 1 ? "1 episode reminder" : `${held.length} episode reminders`,
+    message: "Held during quiet hours",
+    items,
+    priority: 1
+  });
+}
+
+/**
+ * Handle a click on one of the episode notification buttons.
+ * @param {string} notificationId - ID created by handleEpisodeAlarm
+ * @param {number} buttonIndex - Index of the clicked button
+ */
+export async function handleEpisodeNotificationButton(notificationId, buttonIndex) {
+  if (!notificationId.startsWith(EPISODE_NOTIFICATION_PREFIX)) return;
+
+  const { showId, number, actions } = parseEpisodeNotificationId(notificationId);
+  const shows = await getShows();
+  const show = shows.find((s) => String(s.id) === showId);
+  chrome.notifications.clear(notificationId);
+  if (!show) return;
+
+  const action = actions[buttonIndex];
+
+  if (action === "open-link") {
+    if (!isWatchLinkUrl(show.watchLink)) return;
+    chrome.tabs.create({ url: show.watchLink });
+    await updateShow(show.id, { lastWatchedAt: new Date().toISOString() });
+  } else if (action === "mark-watched" && Number.isInteger(number)) {
+    // Progress goes to the notified episode, so repeated clicks are no-ops
+    // and progress already past it in the popup is kept.
+    await updateShow(show.id, (latest) => ({
+      watchedEpisode: Math.max(latest.watchedEpisode || 0, number),
+      lastWatchedAt: new Date().toISOString()
+    }));
+  }
+}
@@ -0,0 +1,156 @@
+// One request scheduler for every API call the extension makes. Requests are
+// queued per host and only sent when the host's token bucket has a token and
+// fewer than `concurrency` of its requests are in flight, so a Promise.all
+// over dozens of shows can't burst past an API's rate limit.
+//
+// 429 and 5xx responses (and network errors) are retried with exponential
+// backoff, waiting for Retry-After when the server sends it. A 429 also pauses
+// the whole host, since every queued request would hit the same limit.
+
+const ONE_SECOND_MS = 1000;
+const MAX_BACKOFF_MS = 30 * ONE_SECOND_MS;
+const DEFAULT_RETRIES = 3;
+
+// burst: bucket size; perSecond: refill rate; concurrency: requests in flight.
+const HOST_LIMITS = {
+  // TVmaze: 20 calls per 10 seconds
+  "api.tvmaze.com": { burst: 10, perSecond: 2, concurrency: 4 },
+  // Jikan: 3 per second, 60 per minute
+  "api.jikan.moe": { burst: 3, perSecond: 1, concurrency: 2 },
+  // Wikidata Query Service: 5 parallel queries per client
+  "query.wikidata.org": { burst: 5, perSecond: 1, concurrency: 2 },
+  "www.wikidata.org": { burst: 10, perSecond: 5, concurrency: 4 }
+};
+const DEFAULT_LIMITS = { burst: 10, perSecond: 5, concurrency: 4 };
+
+const hosts = new Map();
+
+function getHost(hostname) {
+  if (!hosts.has(hostname)) {
+    const limits = HOST_LIMITS[hostname] || DEFAULT_LIMITS;
+    hosts.set(hostname, {
+      limits,
+      tokens: limits.burst,
+      refilledAt: Date.now(),
+      active: 0,
+      queue: [],
+      pausedUntil: 0,
+      timer: null
+    });
+  }
+  return hosts.get(hostname);
+}
+
+function refill(host) {
+  const now = Date.now();
+  const added = ((now - host.refilledAt) / ONE_SECOND_MS) * host.limits.perSecond;
+  host.tokens = Math.min(host.limits.burst, host.tokens + added);
+  host.refilledAt = now;
+}
+
+// Start as many queued requests as the host's limits allow, and schedule
+// another pass for when the next one can go.
+function pump(host) {
+  clearTimeout(host.timer);
+  host.timer = null;
+  refill(host);
+
+  const now = Date.now();
+  while (
+    host.queue.length &&
+    host.active < host.limits.concurrency &&
+    host.tokens >= 1 &&
+    now >= host.pausedUntil
+  ) {
+    host.tokens -= 1;
+    host.active += 1;
+    host.queue.shift()();
+  }
+
+  // A slot freeing up calls pump() itself; only waits on time need a timer.
+  if (host.queue.length && host.active < host.limits.concurrency) {
+    const tokenWait = host.tokens >= 1 ? 0 : ((1 - host.tokens) / host.limits.perSecond) * ONE_SECOND_MS;
+    const wait = Math.max(tokenWait, host.pausedUntil - now, 0);
+    host.timer = setTimeout(() => pump(host), Math.ceil(wait));
+  }
+}
+
+function acquire(host) {
+  return new Promise((resolve) => {
+    host.queue.push(resolve);
+    pump(host);
+  });
+}
+
+function release(host) {
+  host.active -= 1;
+  pump(host);
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status !== 501);
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * ONE_SECOND_MS);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt) {
+  const base = Math.min(MAX_BACKOFF_MS, ONE_SECOND_MS * 2 ** attempt);
+  // Jitter so queued callers don't all retry at the same moment.
+  return base / 2 + Math.random() * (base / 2);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * fetch() through the per-host scheduler, with retries
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch init
+ * @param {Object} options - { retries } attempts after the first one
+ * @returns {Promise<Response>} - The last response; may still be a 429/5xx once retries run out
+ */
+export async function scheduledFetch(url, init = {}, { retries = DEFAULT_RETRIES } = {}) {
+  const host = getHost(new URL(url).hostname);
+
+  for (let attempt = 0; ; attempt++) {
+    await acquire(host);
+    let res;
+    try {
+      res = await fetch(url, init);
+    } catch (err) {
+      if (attempt >= retries) throw err;
+      console.error(`Request failed, retrying (${attempt + 1}/${retries})`, url, err);
+    } finally {
+      release(host);
+    }
+
+    // Network error: back off without holding a slot.
+    if (!res) {
+      await sleep(backoffDelay(attempt));
+      continue;
+    }
+
+    if (!isRetryableStatus(res.status) || attempt >= retries) {
+      return res;
+    }
+
+    const delay = parseRetryAfter(res.headers.get("Retry-After")) ?? backoffDelay(attempt);
+    if (res.status === 429) {
+      host.pausedUntil = Math.max(host.pausedUntil, Date.now() + delay);
+    }
+    // Not worth keeping the caller waiting; the host stays paused regardless.
+    if (delay > MAX_BACKOFF_MS) {
+      return res;
+    }
+    console.warn(`${res.status} from ${url}, retrying in ${Math.round(delay)}ms`);
+    await sleep(delay);
+  }
+}
@@ -0,0 +1,74 @@
+// User preferences shared by the popup and the background service worker.
+// Stored as a single object under the "settings" key in chrome.storage.sync.
+
+const SETTINGS_KEY = "settings";
+
+export const DEFAULT_SETTINGS = {
+  // "airing-today": shows airing in the next 24 hours,
+  // "unwatched": aired episodes past the watched progress, "off": no badge
+  badgeMode: "airing-today",
+  // How often the background refresh checks TVmaze for schedule changes
+  refreshIntervalHours: 24,
+  // Leave anime filler and recap episodes out of progress and "remaining"
+  skipFillerEpisodes: false,
+  quietHours: {
+    enabled: false,
+    start: "22:00",
+    end: "08:00"
+  }
+};
+
+// Merge stored values over the defaults one level deep, so settings saved by
+// an older version pick up newly added nested fields.
+function withDefaults(stored) {
+  const merged = { ...DEFAULT_SETTINGS };
+  if (!stored || typeof stored !== "object") return merged;
+
+  for (const [key, value] of Object.entries(stored)) {
+    const fallback = DEFAULT_SETTINGS[key];
+    if (fallback && typeof fallback === "object" && value && typeof value === "object") {
+      merged[key] = { ...fallback, ...value };
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Read settings, filling in defaults for anything not saved yet
+ * @returns {Promise<Object>} - Settings object shaped like DEFAULT_SETTINGS
+ */
+export async function getSettings() {
+  const stored = await chrome.storage.sync.get(SETTINGS_KEY);
+  return withDefaults(stored[SETTINGS_KEY]);
+}
+
+/**
+ * Update some settings, keeping the rest
+ * @param {Object} patch - Top-level keys to replace (nested objects are merged)
+ * @returns {Promise<Object>} - The saved settings
+ */
+export async function saveSettings(patch) {
+  const current = await getSettings();
+  const next = withDefaults({ ...current, ...patch });
+  for (const [key, value] of Object.entries(patch)) {
+    if (value && typeof value === "object" && current[key] && typeof current[key] === "object") {
+      next[key] = { ...current[key], ...value };
+    }
+  }
+  await chrome.storage.sync.set({ [SETTINGS_KEY]: next });
+  return next;
+}
+
+/**
+ * Subscribe to settings changes from any context
+ * @param {Function} callback - Called with the new settings object
+ */
+export function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "sync" && changes[SETTINGS_KEY]) {
+      callback(withDefaults(changes[SETTINGS_KEY].newValue));
+    }
+  });
+}
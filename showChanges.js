@@ -0,0 +1,109 @@
+// Detects changes to a show's status, network, schedule and season count
+// between refreshes, keeps a short per-show history of them in
+// `changeHistory`, and raises a notification for new ones. Entries stay
+// `seen: false` until dismissed from the popup banner.
+
+const CHANGE_NOTIFICATION = "show-changes";
+const DEFAULT_NOTIFICATION_ICON = "icons/icon128.png";
+const MAX_HISTORY = 20;
+
+// Tracked fields and how they are shown to the user.
+const TRACKED_FIELDS = {
+  status: "Status",
+  network: "Network",
+  schedule: "Schedule",
+  seasonCount: "Seasons"
+};
+
+function formatValue(field, value) {
+  if (value == null || value === "") return "none";
+  if (field === "schedule") {
+    const days = Array.isArray(value.days) ? value.days.join(", ") : "";
+    return [days, value.time].filter(Boolean).join(" ") || "none";
+  }
+  return String(value);
+}
+
+/**
+ * Compare freshly fetched fields with the stored show.
+ * Fields the show has never had a value for are skipped, so the first refresh
+ * after adding a show doesn't report everything as changed.
+ * @param {Object} show - Stored show
+ * @param {Object} patch - Refreshed fields
+ * @returns {Array<{field, from, to}>} - Changed fields
+ */
+export function detectShowChanges(show, patch) {
+  const changes = [];
+  for (const field of Object.keys(TRACKED_FIELDS)) {
+    if (!(field in patch) || show[field] === undefined || show[field] === null) continue;
+    if (JSON.stringify(show[field]) === JSON.stringify(patch[field])) continue;
+    // A new season is news; one disappearing from the list is a data fix.
+    if (field === "seasonCount" && patch[field] < show[field]) continue;
+    changes.push({ field, from: show[field], to: patch[field] });
+  }
+  return changes;
+}
+
+/**
+ * Append changes to a show's history, dropping the oldest entries
+ * @param {Object} show - Stored show
+ * @param {Array} changes - From detectShowChanges
+ * @returns {Array} - New changeHistory
+ */
+export function appendChangeHistory(show, changes) {
+  const history = Array.isArray(show.changeHistory) ? show.changeHistory : [];
+  const entry = { at: new Date().toISOString(), changes, seen: false };
+  return [...history, entry].slice(-MAX_HISTORY);
+}
+
+/**
+ * One-line description of a change, e.g. "Running → Ended"
+ * @param {Object} change - { field, from, to }
+ * @returns {string}
+ */
+export function describeChange(change) {
+  if (change.field === "seasonCount") {
+    return `Season ${change.to} added`;
+  }
+  if (change.field === "status") {
+    return `${formatValue("status", change.from)} → ${formatValue("status", change.to)}`;
+  }
+  const label = TRACKED_FIELDS[change.field] || change.field;
+  return `${label}: ${formatValue(change.field, change.from)} → ${formatValue(change.field, change.to)}`;
+}
+
+/**
+ * Changes not dismissed yet, newest first
+ * @param {Array} shows - Tracked shows
+ * @returns {Array<{show, entry}>}
+ */
+export function getUnseenChanges(shows) {
+  const unseen = [];
+  for (const show of shows) {
+    for (const entry of show.changeHistory || []) {
+      if (!entry.seen) unseen.push({ show, entry });
+    }
+  }
+  return unseen.sort((a, b) => Date.parse(b.entry.at) - Date.parse(a.entry.at));
+}
+
+/**
+ * Notify about changes found in one refresh run
+ * @param {Array<{show, changes}>} changed - Shows and their new changes
+ */
+export function notifyShowChanges(changed) {
+  if (!changed.length) return;
+
+  const items = changed.flatMap(({ show, changes }) =>
+    changes.map((change) => ({ title: show.name, message: describeChange(change) }))
+  );
+
+  chrome.notifications.create(CHANGE_NOTIFICATION, {
+    type: "list",
+    iconUrl: DEFAULT_NOTIFICATION_ICON,
+    title: changed.length === 1 ? `${changed[0].show.name} changed` : `${changed.length} shows changed`,
+    message: items[0].message,
+    items,
+    priority: 1
+  });
+}
@@ -0,0 +1,448 @@
+// Shared repository for tracked shows, used by both the popup and the
+// background service worker. All writes go through here so they can be
+// serialized and merged instead of each context overwriting the whole list.
+//
+// - Writes hold a Web Lock ("shows"), which is shared by every page and the
+//   service worker of the extension, so read-modify-write cycles never
+//   interleave across contexts.
+// - Each show carries a `rev` that is bumped on every write. A caller that
+//   computed a patch from an older copy passes that copy as `base`; fields
+//   another writer has changed since then are kept instead of overwritten.
+//
+// Storage layout: chrome.storage.sync only holds a compact index of user
+// state (see INDEX_FIELDS), split into "showIndex.<n>" shards that each stay
+// under the 8 KB per-item quota. Everything that can be refetched (summary,
+// genres, images, episode data...) lives in chrome.storage.local under
+// "showMeta", keyed by show ID. Callers still see one merged object per show.
+
+const LEGACY_SHOWS_KEY = "shows";
+const INDEX_INFO_KEY = "showIndex";
+const INDEX_SHARD_PREFIX = "showIndex.";
+const META_KEY = "showMeta";
+const LOCK_NAME = "shows";
+
+// Synced per-show fields and the short keys they are stored under.
+const INDEX_FIELDS = {
+  id: "i",
+  name: "n",
+  contentType: "t",
+  rev: "r",
+  priority: "p",
+  watchLink: "l",
+  watchedEpisode: "e",
+  lastWatchedAt: "w",
+  watched: "d",
+  watchedAt: "a",
+  reminder: "m"
+};
+
+// chrome.storage.sync.QUOTA_BYTES_PER_ITEM is 8192 and counts the key too;
+// leave headroom for it.
+const MAX_SHARD_BYTES = 7800;
+
+let localQueue = Promise.resolve();
+
+// navigator.locks is available in extension pages and service workers; the
+// promise chain only serializes writers inside this context if it is missing.
+function withShowsLock(fn) {
+  if (typeof navigator !== "undefined" && navigator.locks?.request) {
+    return navigator.locks.request(LOCK_NAME, fn);
+  }
+  const run = localQueue.then(fn, fn);
+  localQueue = run.catch(() => {});
+  return run;
+}
+
+function sameShowId(a, b) {
+  return String(a) === String(b);
+}
+
+function isEqualValue(a, b) {
+  if (a === b) return true;
+  if (a == null || b == null) return a == b;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function byteLength(value) {
+  return new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+function toIndexEntry(show) {
+  const entry = {};
+  for (const [field, shortKey] of Object.entries(INDEX_FIELDS)) {
+    const value = show[field];
+    // Defaults are left out to keep the synced index small.
+    if (value === undefined || value === null || value === false || value === "" || value === 0) continue;
+    entry[shortKey] = value;
+  }
+  entry.i = show.id;
+  return entry;
+}
+
+function fromIndexEntry(entry) {
+  const show = {};
+  for (const [field, shortKey] of Object.entries(INDEX_FIELDS)) {
+    if (entry[shortKey] !== undefined) show[field] = entry[shortKey];
+  }
+  return show;
+}
+
+function toMeta(show) {
+  const meta = { ...show };
+  for (const field of Object.keys(INDEX_FIELDS)) {
+    if (field !== "id") delete meta[field];
+  }
+  return meta;
+}
+
+function packShards(entries) {
+  const shards = [];
+  let current = [];
+
+  for (const entry of entries) {
+    const candidate = [...current, entry];
+    if (current.length && byteLength(candidate) > MAX_SHARD_BYTES) {
+      shards.push(current);
+      current = [entry];
+    } else {
+      current = candidate;
+    }
+  }
+  if (current.length) shards.push(current);
+  return shards;
+}
+
+async function readLayout() {
+  const info = (await chrome.storage.sync.get(INDEX_INFO_KEY))[INDEX_INFO_KEY];
+  const shardCount = info?.shardCount || 0;
+  const shardKeys = Array.from({ length: shardCount }, (_, n) => `${INDEX_SHARD_PREFIX}${n}`);
+
+  const [syncData, localData] = await Promise.all([
+    shardKeys.length ? chrome.storage.sync.get(shardKeys) : Promise.resolve({}),
+    chrome.storage.local.get(META_KEY)
+  ]);
+
+  return {
+    shards: shardKeys.map((key) => (Array.isArray(syncData[key]) ? syncData[key] : [])),
+    meta: localData[META_KEY] || {}
+  };
+}
+
+async function readShows() {
+  const { shards, meta } = await readLayout();
+  return shards.flat().map((entry) => {
+    const userState = fromIndexEntry(entry);
+    return { ...meta[String(userState.id)], ...userState };
+  });
+}
+
+async function writeShows(shows) {
+  const previous = await readLayout();
+
+  const shards = packShards(shows.map(toIndexEntry));
+  const syncUpdate = {};
+  shards.forEach((shard, n) => {
+    // Only rewrite shards whose content changed, so other devices see fewer
+    // sync changes and we stay within the sync write-rate quotas.
+    if (!isEqualValue(previous.shards[n], shard)) {
+      syncUpdate[`${INDEX_SHARD_PREFIX}${n}`] = shard;
+    }
+  });
+  if (shards.length !== previous.shards.length) {
+    syncUpdate[INDEX_INFO_KEY] = { version: 2, shardCount: shards.length };
+  }
+
+  const meta = {};
+  for (const show of shows) {
+    meta[String(show.id)] = toMeta(show);
+  }
+
+  try {
+    if (Object.keys(syncUpdate).length) {
+      await chrome.storage.sync.set(syncUpdate);
+    }
+  } catch (err) {
+    throw new Error(`Could not save your shows: ${err?.message || err}`);
+  }
+
+  const staleShardKeys = [];
+  for (let n = shards.length; n < previous.shards.length; n++) {
+    staleShardKeys.push(`${INDEX_SHARD_PREFIX}${n}`);
+  }
+  if (staleShardKeys.length) {
+    await chrome.storage.sync.remove(staleShardKeys);
+  }
+
+  if (!isEqualValue(previous.meta, meta)) {
+    await chrome.storage.local.set({ [META_KEY]: meta });
+  }
+}
+
+let migration = null;
+
+// One-time move from the single "shows" array in chrome.storage.sync to the
+// sharded index + local metadata. Runs lazily before the first read or write;
+// Web Locks are not reentrant, so it must be awaited outside withShowsLock.
+function ensureMigrated() {
+  if (!migration) {
+    migration = withShowsLock(async () => {
+      const legacy = (await chrome.storage.sync.get(LEGACY_SHOWS_KEY))[LEGACY_SHOWS_KEY];
+      if (!Array.isArray(legacy)) return;
+
+      const { shards, meta } = await readLayout();
+      const existing = shards.flat().map((entry) => ({ ...meta[String(entry.i)], ...fromIndexEntry(entry) }));
+      const existingIds = new Set(existing.map((show) => String(show.id)));
+      const merged = [...existing, ...legacy.filter((show) => !existingIds.has(String(show.id)))];
+
+      await writeShows(merged);
+      await chrome.storage.sync.remove(LEGACY_SHOWS_KEY);
+    }).catch((err) => {
+      migration = null;
+      throw err;
+    });
+  }
+  return migration;
+}
+
+async function withMigratedLock(fn) {
+  await ensureMigrated();
+  return withShowsLock(fn);
+}
+
+// Apply one patch to the latest stored copy of a show. With a `base` whose rev
+// is behind, only fields that are still unchanged since `base` are written.
+function applyPatch(current, patch, base) {
+  const next = { ...current };
+  const conflicts = [];
+  const stale = base && (base.rev || 0) !== (current.rev || 0);
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (key === "id" || key === "rev") continue;
+    if (stale && !isEqualValue(current[key], base[key]) && !isEqualValue(current[key], value)) {
+      conflicts.push(key);
+      continue;
+    }
+    next[key] = value;
+  }
+
+  next.rev = (current.rev || 0) + 1;
+  return { show: next, conflicts };
+}
+
+/**
+ * Read all tracked shows
+ * @returns {Promise<Array>} - Shows in stored order
+ */
+export async function getShows() {
+  await ensureMigrated();
+  return readShows();
+}
+
+/**
+ * Read a single tracked show
+ * @param {string|number} showId - Show ID
+ * @returns {Promise<Object|null>} - Show, or null if not tracked
+ */
+export async function getShow(showId) {
+  const shows = await getShows();
+  return shows.find((s) => sameShowId(s.id, showId)) || null;
+}
+
+/**
+ * Add a show unless one with the same ID is already tracked
+ * @param {Object} show - Show to add
+ * @returns {Promise<{added: boolean, show: Object}>} - The stored show
+ */
+export async function addShow(show) {
+  return withMigratedLock(async () => {
+    const shows = await readShows();
+    const existing = shows.find((s) => sameShowId(s.id, show.id));
+    if (existing) {
+      return { added: false, show: existing };
+    }
+
+    const stored = { ...show, rev: 1 };
+    await writeShows([...shows, stored]);
+    return { added: true, show: stored };
+  });
+}
+
+/**
+ * Patch several shows in one storage write.
+ * @param {Array<{id, patch, base}>} updates - `patch` is an object or a
+ *   function of the latest stored show returning one; `base` is the copy the
+ *   patch was computed from, if it may be out of date
+ * @returns {Promise<Map>} - Show ID -> { show, conflicts } for shows that still exist
+ */
+export async function updateShows(updates) {
+  return withMigratedLock(async () => {
+    const shows = await readShows();
+    const results = new Map();
+
+    for (const { id, patch, base } of updates) {
+      const index = shows.findIndex((s) => sameShowId(s.id, id));
+      // Removed meanwhile: don't resurrect it.
+      if (index === -1) continue;
+
+      const current = shows[index];
+      const resolvedPatch = typeof patch === "function" ? patch(current) : patch;
+      if (!resolvedPatch) continue;
+
+      const result = applyPatch(current, resolvedPatch, base);
+      if (result.conflicts.length) {
+        console.warn("Kept newer values for show", id, result.conflicts);
+      }
+      shows[index] = result.show;
+      results.set(String(id), result);
+    }
+
+    if (results.size) {
+      await writeShows(shows);
+    }
+    return results;
+  });
+}
+
+/**
+ * Patch a single show.
+ * @param {string|number} showId - Show ID
+ * @param {Object|Function} patch - Fields to set, or a function of the latest show returning them
+ * @param {Object} options - { base } copy the patch was computed from
+ * @returns {Promise<Object|null>} - The updated show, or null if it is no longer tracked
+ */
+export async function updateShow(showId, patch, { base } = {}) {
+  const results = await updateShows([{ id: showId, patch, base }]);
+  return results.get(String(showId))?.show || null;
+}
+
+/**
+ * Stop tracking a show
+ * @param {string|number} showId - Show ID
+ * @returns {Promise<Array>} - Remaining shows
+ */
+export async function removeShow(showId) {
+  return withMigratedLock(async () => {
+    const shows = await readShows();
+    const remaining = shows.filter((s) => !sameShowId(s.id, showId));
+    if (remaining.length !== shows.length) {
+      await writeShows(remaining);
+    }
+    return remaining;
+  });
+}
+
+/**
+ * Replace the whole list (used by import)
+ * @param {Array} shows - New list
+ */
+export async function replaceShows(shows) {
+  return withMigratedLock(async () => {
+    await writeShows(shows.map((show) => ({ ...show, rev: (show.rev || 0) + 1 })));
+  });
+}
+
+/**
+ * Rewrite the whole list from its latest stored state, in one locked write
+ * @param {Function} transform - Called with the stored shows; returns the new list
+ * @returns {Promise<Array>} - Shows as written
+ */
+export async function rewriteShows(transform) {
+  return withMigratedLock(async () => {
+    const shows = await readShows();
+    const previous = new Map(shows.map((show) => [String(show.id), show]));
+    const next = transform(shows).map((show) => {
+      const before = previous.get(String(show.id));
+      // Bump rev only where something changed, so pending patches elsewhere
+      // still apply to untouched shows.
+      return before && isEqualValue(before, show) ? show : { ...show, rev: (before?.rev || show.rev || 0) + 1 };
+    });
+    await writeShows(next);
+    return next;
+  });
+}
+
+function isShowStorageChange(changes, areaName) {
+  if (areaName === "local") return Boolean(changes[META_KEY]);
+  if (areaName !== "sync") return false;
+  return Object.keys(changes).some((key) => key === INDEX_INFO_KEY || key.startsWith(INDEX_SHARD_PREFIX));
+}
+
+/**
+ * Whether a watch link is safe to open: an absolute http(s) URL. Links are
+ * synced and user-edited, so check before opening one.
+ * @param {string} value - Stored watchLink
+ * @returns {boolean}
+ */
+export function isWatchLinkUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (err) {
+    return false;
+  }
+}
+
+// Rebuild the shows as they were before a batch of storage changes, from
+// each changed key's oldValue. A worker woken by the change itself has no
+// earlier read to diff against.
+async function readShowsBefore(oldValues) {
+  const { shards, meta } = await readLayout();
+  const info = INDEX_INFO_KEY in oldValues ? oldValues[INDEX_INFO_KEY] : { shardCount: shards.length };
+  const previousMeta = META_KEY in oldValues ? oldValues[META_KEY] || {} : meta;
+
+  const entries = [];
+  for (let n = 0; n < (info?.shardCount || 0); n++) {
+    const key = `${INDEX_SHARD_PREFIX}${n}`;
+    const shard = key in oldValues ? oldValues[key] : shards[n];
+    if (Array.isArray(shard)) entries.push(...shard);
+  }
+  return entries.map((entry) => {
+    const userState = fromIndexEntry(entry);
+    return { ...previousMeta[String(userState.id)], ...userState };
+  });
+}
+
+/**
+ * Subscribe to changes made by any context
+ * @param {Function} callback - Called with (newShows, oldShows)
+ */
+export function onShowsChanged(callback) {
+  let oldValues = {};
+  let pending = null;
+
+  // A single write touches several shards and the local metadata, each of
+  // which fires its own event; coalesce them into one callback.
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (!isShowStorageChange(changes, areaName)) return;
+    for (const [key, change] of Object.entries(changes)) {
+      // Keep the value from before the first change in the batch.
+      if (!(key in oldValues)) oldValues[key] = change.oldValue;
+    }
+    clearTimeout(pending);
+    pending = setTimeout(async () => {
+      const batch = oldValues;
+      oldValues = {};
+      try {
+        const [shows, oldShows] = await Promise.all([getShows(), readShowsBefore(batch)]);
+        callback(shows, oldShows);
+      } catch (err) {
+        console.error("Failed to read shows after a storage change", err);
+      }
+    }, 50);
+  });
+}
+
+/**
+ * Storage used by tracked shows and settings
+ * @returns {Promise<{sync: {used, quota}, local: {used, quota}}>} - Bytes used and available per area
+ */
+export async function getStorageUsage() {
+  const [syncUsed, localUsed] = await Promise.all([
+    chrome.storage.sync.getBytesInUse(null),
+    chrome.storage.local.getBytesInUse(null)
+  ]);
+  return {
+    sync: { used: syncUsed, quota: chrome.storage.sync.QUOTA_BYTES },
+    local: { used: localUsed, quota: chrome.storage.local.QUOTA_BYTES }
+  };
+}
@@ -1,27 +1,134 @@
+import { cachedFetch, CACHE_TTL } from "./httpCache.js";
+import { scheduledFetch } from "./requestScheduler.js";
+
 const TVMAZE_BASE_URL = "https://api.tvmaze.com";
 const ONE_DAY_MS = 24 * 60 * 60 * 1000;
 
-// Fuzzy search helper - calculates similarity between strings
-function calculateSimilarity(str1, str2) {
-  const s1 = str1.toLowerCase();
-  const s2 = str2.toLowerCase();
+// Lowercase, strip diacritics and punctuation, collapse whitespace, so
+// "Pokémon: The Series" and "pokemon the series" compare equal.
+function normalizeTitle(str) {
+  return String(str || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Damerau-Levenshtein distance (optimal string alignment): insertions,
+// deletions, substitutions and adjacent transpositions each cost 1, so
+// "brekaing" is one edit from "breaking".
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 1; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function editSimilarity(a, b) {
+  const maxLen = Math.max(a.length, b.length);
+  return maxLen ? 1 - editDistance(a, b) / maxLen : 1;
+}
 
-  if (s1 === s2) return 1;
-  if (s1.includes(s2) || s2.includes(s1)) return 0.8;
+// Fuzzy similarity between a search query and a title, from 0 to 1. Takes
+// the better of whole-string edit similarity and a per-word match, so word
+// order and extra words in long titles don't sink an otherwise good match.
+function calculateSimilarity(query, title) {
+  const q = normalizeTitle(query);
+  const t = normalizeTitle(title);
+  if (!q || !t) return 0;
+  if (q === t) return 1;
+  if (t.startsWith(q)) return 0.9;
+
+  const whole = editSimilarity(q, t);
+
+  const queryWords = q.split(" ");
+  const titleWords = t.split(" ");
+  const wordScores = queryWords.map((qw) => Math.max(...titleWords.map((tw) => editSimilarity(qw, tw))));
+  const perWord = wordScores.reduce((sum, score) => sum + score, 0) / queryWords.length;
+  // Titles with many words the query didn't mention rank a little lower.
+  const coverage = Math.min(1, queryWords.length / titleWords.length);
+
+  return Math.max(whole, perWord * (0.85 + 0.15 * coverage));
+}
 
-  // Simple Levenshtein-like similarity
-  let matches = 0;
-  const minLen = Math.min(s1.length, s2.length);
-  for (let i = 0; i < minLen; i++) {
-    if (s1[i] === s2[i]) matches++;
+function toEpisodeRef(episode) {
+  if (!episode?.airstamp) return null;
+  return {
+    season: episode.season,
+    number: episode.number,
+    airstamp: episode.airstamp
+  };
+}
+
+// Common summary shape for TVmaze show objects. `nextEpisode` is filled in
+// when the show came with an embedded next episode.
+function toShowSummary(show) {
+  return {
+    id: show.id,
+    name: show.name,
+    genres: Array.isArray(show.genres) ? show.genres : [],
+    premiered: show.premiered || null,
+    status: show.status || null,
+    summary: show.summary ? show.summary.replace(/<[^>]+>/g, "") : "",
+    image: (show.image && (show.image.medium || show.image.original)) || null,
+    rating: show.rating?.average || null,
+    imdbId: show.externals?.imdb || null,
+    nextEpisode: toEpisodeRef(show._embedded?.nextepisode)
+  };
+}
+
+// Listing endpoints (/shows, /search/shows) can't embed episodes, but each
+// show links to its next episode. Fetch just that episode, and only for
+// shows that have one, instead of every show's full episode list.
+function getNextEpisodeHref(show) {
+  const href = show._links?.nextepisode?.href;
+  return href ? href.replace(/^http:/, "https:") : null;
+}
+
+/**
+ * Fetch the episode a listing's `nextEpisodeHref` points to
+ * @param {string} href - From a show summary's nextEpisodeHref
+ * @returns {Promise<Object|null>} - { season, number, airstamp }, null on failure
+ */
+export async function fetchLinkedNextEpisode(href) {
+  if (!href) return null;
+  try {
+    const res = await cachedFetch(href, { ttlMs: CACHE_TTL.episodes });
+    if (!res.ok) return null;
+    return toEpisodeRef(await res.json());
+  } catch (err) {
+    console.error("TVmaze next episode failed", err);
+    return null;
   }
-  return matches / Math.max(s1.length, s2.length);
+}
+
+// Listing pages stay one request: shows keep the link to their next episode
+// (`nextEpisodeHref`) for the popup to fetch once a card is on screen.
+function withNextEpisodeLinks(shows) {
+  return shows.map((show) => ({
+    ...toShowSummary(show),
+    nextEpisodeHref: getNextEpisodeHref(show)
+  }));
 }
 
 // Search by genre
 export async function searchShowsByGenre(genre) {
-  const res = await fetch(
-    `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(genre)}`
+  const res = await cachedFetch(
+    `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(genre)}`,
+    { ttlMs: CACHE_TTL.search }
   );
 
   if (!res.ok) {
@@ -53,8 +160,9 @@ export async function searchShowsByGenre(genre) {
 
 // Enhanced genre search with popularity scoring
 export async function searchShowsByGenreWithPopularity(genre) {
-  const res = await fetch(
-    `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(genre)}`
+  const res = await cachedFetch(
+    `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(genre)}`,
+    { ttlMs: CACHE_TTL.search }
   );
 
   if (!res.ok) {
@@ -64,57 +172,33 @@ export async function searchShowsByGenreWithPopularity(genre) {
   const data = await res.json();
   const genreLower = genre.toLowerCase();
 
-  // Get episodes for shows to calculate next episode info
-  const showsWithScores = await Promise.all(
-    data
-      .filter((item) => {
-        const show = item.show;
-        const genres = Array.isArray(show.genres) ? show.genres : [];
-        return genres.some(g => g.toLowerCase() === genreLower) &&
-          show.status === "Running" &&
-          (show.rating?.average || 0) >= 7.0;
-      })
-      .slice(0, 30)
-      .map(async (item) => {
-        const show = item.show;
-
-        // Fetch episodes to check for next episode
-        let hasNextEpisode = false;
-        let nextEpisodeSoon = false;
-
-        try {
-          const episodesRes = await fetch(`${TVMAZE_BASE_URL}/shows/${show.id}/episodes`);
-          if (episodesRes.ok) {
-            const episodes = await episodesRes.json();
-            const nextEp = computeNextEpisode(episodes);
-            hasNextEpisode = !!nextEp;
-            if (nextEp && nextEp.airstamp) {
-              const airTime = Date.parse(nextEp.airstamp);
-              const daysUntil = (airTime - Date.now()) / (1000 * 60 * 60 * 24);
-              nextEpisodeSoon = daysUntil <= 7 && daysUntil > 0;
-            }
-          }
-        } catch (err) {
-          // Ignore episode fetch errors
-        }
+  // Rank from the search results alone: whether a show has a next episode
+  // is in its links, and the episode itself is fetched lazily by the popup
+  // (see nextEpisodeHref) like the other listings.
+  const showsWithScores = data
+    .filter((item) => {
+      const show = item.show;
+      const genres = Array.isArray(show.genres) ? show.genres : [];
+      return genres.some(g => g.toLowerCase() === genreLower) &&
+        show.status === "Running" &&
+        (show.rating?.average || 0) >= 7.0;
+    })
+    .slice(0, 30)
+    .map((item) => {
+      const show = item.show;
+      const nextEpisodeHref = getNextEpisodeHref(show);
 
-        // Calculate popularity score
-        const rating = show.rating?.average || 6;
-        const score = (rating * 2) + (hasNextEpisode ? 4 : 0) + (nextEpisodeSoon ? 2 : 0);
-
-        return {
-          id: show.id,
-          name: show.name,
-          genres: Array.isArray(show.genres) ? show.genres : [],
-          premiered: show.premiered || null,
-          status: show.status || null,
-          summary: show.summary ? show.summary.replace(/<[^>]+>/g, "") : "",
-          image: (show.image && (show.image.medium || show.image.original)) || null,
-          rating: rating,
-          popularityScore: score
-        };
-      })
-  );
+      // Calculate popularity score
+      const rating = show.rating?.average || 6;
+      const score = (rating * 2) + (nextEpisodeHref ? 4 : 0);
+
+      return {
+        ...toShowSummary(show),
+        rating: rating,
+        nextEpisodeHref,
+        popularityScore: score
+      };
+    });
 
   // Sort by popularity score and return top 20
   return showsWithScores
@@ -123,117 +207,147 @@ export async function searchShowsByGenreWithPopularity(genre) {
     .map(({ popularityScore, ...rest }) => rest);
 }
 
-export async function searchShows(query) {
-  const trimmed = query.trim();
-  if (!trimmed) return [];
-
-  // Try exact search first
-  let res = await fetch(
-    `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(trimmed)}`
+// How many of the best candidates get their AKAs fetched and compared.
+const AKA_CANDIDATES = 5;
+// Below this, the exact pass is considered a miss and fuzzy passes run.
+const GOOD_MATCH = 0.8;
+// Offer "Did you mean…" for a best match at least this close but not exact.
+const SUGGESTION_MIN = 0.55;
+
+async function fetchSearchPass(query) {
+  const res = await cachedFetch(
+    `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(query)}`,
+    { ttlMs: CACHE_TTL.search }
   );
-
   if (!res.ok) {
     console.error("TVmaze search failed", res.status);
     return [];
   }
+  const data = await res.json();
+  return data.filter((item) => item.show);
+}
 
-  let data = await res.json();
-  let results = data
-    .filter((item) => item.show)
-    .map((item) => {
-      const show = item.show;
-      const showName = show.name.toLowerCase();
-      const queryLower = trimmed.toLowerCase();
-
-      // Calculate relevance score
-      let score = 0;
-      if (showName === queryLower) score = 100;
-      else if (showName.startsWith(queryLower)) score = 80;
-      else if (showName.includes(queryLower)) score = 60;
-      else {
-        // Check if query words appear in name
-        const queryWords = queryLower.split(/\s+/);
-        const nameWords = showName.split(/\s+/);
-        const matchingWords = queryWords.filter(qw =>
-          nameWords.some(nw => nw.includes(qw) || qw.includes(nw))
-        ).length;
-        score = (matchingWords / queryWords.length) * 40;
-      }
-
-      // Check genres
-      const genres = Array.isArray(show.genres) ? show.genres : [];
-      if (genres.some(g => g.toLowerCase().includes(queryLower))) {
-        score += 20;
-      }
+async function fetchAkas(showId) {
+  try {
+    const res = await cachedFetch(`${TVMAZE_BASE_URL}/shows/${showId}/akas`, { ttlMs: CACHE_TTL.show });
+    if (!res.ok) return [];
+    const akas = await res.json();
+    return akas.map((aka) => aka.name).filter(Boolean);
+  } catch (err) {
+    console.error("TVmaze AKAs failed", err);
+    return [];
+  }
+}
 
-      // Check summary
-      const summary = show.summary ? show.summary.toLowerCase() : "";
-      if (summary.includes(queryLower)) {
-        score += 10;
-      }
+// Alternative queries for the fuzzy pass: each word cut to its first few
+// letters (typos tend to be near the end), and the longest word on its own.
+function getFuzzyQueries(query) {
+  const words = normalizeTitle(query).split(" ").filter((w) => w.length > 2);
+  if (!words.length) return [];
 
-      return {
-        id: show.id,
-        name: show.name,
-        genres: genres,
-        premiered: show.premiered || null,
-        status: show.status || null,
-        summary: show.summary ? show.summary.replace(/<[^>]+>/g, "") : "",
-        image:
-          (show.image && (show.image.medium || show.image.original)) || null,
-        relevanceScore: score
-      };
-    })
-    .sort((a, b) => b.relevanceScore - a.relevanceScore)
-    .slice(0, 12);
+  const prefixes = words.map((w) => w.slice(0, Math.max(3, Math.floor(w.length * 0.6)))).join(" ");
+  const longest = [...words].sort((a, b) => b.length - a.length)[0];
+  return [...new Set([prefixes, longest])].filter((q) => q !== normalizeTitle(query));
+}
 
-  // If we have good results, return them
-  if (results.length > 0 && results[0].relevanceScore > 30) {
-    return results.map(({ relevanceScore, ...rest }) => rest);
-  }
+function rankCandidates(list) {
+  return list.sort((a, b) => b.similarity - a.similarity || b.apiScore - a.apiScore);
+}
 
-  // If no good results, try fuzzy search with partial words
-  if (results.length === 0 || results[0].relevanceScore < 20) {
-    // Try searching with first few characters of each word
-    const words = trimmed.split(/\s+/).filter(w => w.length > 2);
-    if (words.length > 0) {
-      const partialQuery = words.map(w => w.slice(0, Math.max(3, Math.floor(w.length * 0.6)))).join(" ");
-      res = await fetch(
-        `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(partialQuery)}`
-      );
-
-      if (res.ok) {
-        const fuzzyData = await res.json();
-        const fuzzyResults = fuzzyData
-          .filter((item) => item.show)
-          .slice(0, 8)
-          .map((item) => {
-            const show = item.show;
-            return {
-              id: show.id,
-              name: show.name,
-              genres: Array.isArray(show.genres) ? show.genres : [],
-              premiered: show.premiered || null,
-              status: show.status || null,
-              summary: show.summary ? show.summary.replace(/<[^>]+>/g, "") : "",
-              image:
-                (show.image && (show.image.medium || show.image.original)) || null
-            };
-          });
-
-        // Combine and deduplicate
-        const existingIds = new Set(results.map(r => r.id));
-        const newResults = fuzzyResults.filter(r => !existingIds.has(r.id));
-        results = [...results, ...newResults].slice(0, 12);
+/**
+ * Search TVmaze with typo-tolerant ranking, for the search box.
+ * Runs the query as typed; if nothing matches well, adds fuzzy passes and
+ * compares the front-runners' AKAs too. Bulk lookups use searchShows.
+ * @param {string} query - Search text
+ * @returns {Promise<{results: Array, suggestion: string|null}>} - Ranked shows, and a "Did you mean" title if the query looks misspelled
+ */
+export async function searchShowsRanked(query) {
+  const trimmed = query.trim();
+  if (!trimmed) return { results: [], suggestion: null };
+
+  const candidates = new Map();
+  const addCandidates = (items) => {
+    for (const item of items) {
+      const existing = candidates.get(item.show.id);
+      if (!existing || item.score > existing.apiScore) {
+        candidates.set(item.show.id, {
+          show: item.show,
+          apiScore: item.score || 0,
+          matchedName: item.show.name,
+          similarity: calculateSimilarity(trimmed, item.show.name)
+        });
       }
     }
+  };
+
+  addCandidates(await fetchSearchPass(trimmed));
+
+  let ranked = rankCandidates([...candidates.values()]);
+  const exactMiss = !ranked.length || ranked[0].similarity < GOOD_MATCH;
+  if (exactMiss) {
+    for (const fuzzyQuery of getFuzzyQueries(trimmed)) {
+      addCandidates(await fetchSearchPass(fuzzyQuery));
+    }
+
+    // Compare against alternative titles too ("Shingeki no Kyojin" for
+    // "Attack on Titan"), but only for the front-runners.
+    ranked = rankCandidates([...candidates.values()]);
+    await Promise.all(
+      ranked.slice(0, AKA_CANDIDATES).map(async (candidate) => {
+        for (const aka of await fetchAkas(candidate.show.id)) {
+          const similarity = calculateSimilarity(trimmed, aka);
+          if (similarity > candidate.similarity) {
+            candidate.similarity = similarity;
+            candidate.matchedName = aka;
+          }
+        }
+      })
+    );
+    rankCandidates(ranked);
   }
 
-  return results.map(({ relevanceScore, ...rest }) => rest).slice(0, 12);
+  const best = ranked[0];
+  const suggestion =
+    best &&
+    best.similarity >= SUGGESTION_MIN &&
+    best.similarity < 1 &&
+    normalizeTitle(best.matchedName) !== normalizeTitle(trimmed) &&
+    !normalizeTitle(best.matchedName).startsWith(normalizeTitle(trimmed))
+      ? best.matchedName
+      : null;
+
+  return {
+    results: ranked.slice(0, 12).map((candidate) => toShowSummary(candidate.show)),
+    suggestion
+  };
 }
 
-export async function fetchShow(showId) {
-  const res = await fetch(`${TVMAZE_BASE_URL}/shows/${showId}`);
+/**
+ * Search TVmaze in a single request, ranked by title similarity. Cheap
+ * enough for per-item lookups; no fuzzy passes or AKAs.
+ * @param {string} query - Search text
+ * @returns {Promise<Array>} - Ranked shows
+ */
+export async function searchShows(query) {
+  const trimmed = query.trim();
+  if (!trimmed) return [];
+
+  const candidates = (await fetchSearchPass(trimmed)).map((item) => ({
+    show: item.show,
+    apiScore: item.score || 0,
+    similarity: calculateSimilarity(trimmed, item.show.name)
+  }));
+  return rankCandidates(candidates).slice(0, 12).map((candidate) => toShowSummary(candidate.show));
+}
+
+/**
+ * Fetch show details
+ * @param {number} showId - TVmaze show ID
+ * @param {Object} options - { fresh } revalidate with TVmaze instead of using the cache
+ * @returns {Promise<Object|null>} - TVmaze show, or null on failure
+ */
+export async function fetchShow(showId, { fresh = false } = {}) {
+  const res = await cachedFetch(`${TVMAZE_BASE_URL}/shows/${showId}`, { ttlMs: CACHE_TTL.show, fresh });
   if (!res.ok) {
     console.error("TVmaze show details failed", res.status);
     return null;
@@ -241,15 +355,57 @@ export async function fetchShow(showId) {
   return res.json();
 }
 
-export async function fetchEpisodes(showId) {
-  const res = await fetch(`${TVMAZE_BASE_URL}/shows/${showId}/episodes`);
+/**
+ * Fetch all episodes of a show
+ * @param {number} showId - TVmaze show ID
+ * @param {Object} options - { fresh } revalidate with TVmaze instead of using the cache
+ * @returns {Promise<Array>} - TVmaze episodes
+ */
+export async function fetchEpisodes(showId, { fresh = false } = {}) {
+  const res = await cachedFetch(`${TVMAZE_BASE_URL}/shows/${showId}/episodes`, { ttlMs: CACHE_TTL.episodes, fresh });
   if (!res.ok) {
     console.error("TVmaze episodes failed", res.status);
-    return [];
+    throw new Error(`TVmaze episodes failed: ${res.status}`);
   }
   return res.json();
 }
 
+/**
+ * Fetch show details and its episode list in one request (embed[]=episodes)
+ * @param {number} showId - TVmaze show ID
+ * @param {Object} options - { fresh } revalidate with TVmaze instead of using the cache
+ * @returns {Promise<{show: Object, episodes: Array}>} - TVmaze show (without _embedded) and episodes
+ */
+export async function fetchShowWithEpisodes(showId, { fresh = false } = {}) {
+  const res = await cachedFetch(`${TVMAZE_BASE_URL}/shows/${showId}?embed[]=episodes`, {
+    ttlMs: CACHE_TTL.episodes,
+    fresh
+  });
+  if (!res.ok) {
+    console.error("TVmaze show with episodes failed", res.status);
+    throw new Error(`TVmaze show with episodes failed: ${res.status}`);
+  }
+  const { _embedded, ...show } = await res.json();
+  return { show, episodes: Array.isArray(_embedded?.episodes) ? _embedded.episodes : [] };
+}
+
+/**
+ * Fetch only a show's next episode (embed=nextepisode)
+ * @param {number} showId - TVmaze show ID
+ * @returns {Promise<Object|null>} - { season, number, airstamp }, or null if none is scheduled
+ */
+export async function fetchNextEpisode(showId) {
+  const res = await cachedFetch(`${TVMAZE_BASE_URL}/shows/${showId}?embed=nextepisode`, {
+    ttlMs: CACHE_TTL.episodes
+  });
+  if (!res.ok) {
+    console.error("TVmaze next episode failed", res.status);
+    return null;
+  }
+  const show = await res.json();
+  return toEpisodeRef(show._embedded?.nextepisode);
+}
+
 export function computeNextEpisode(episodes) {
   const now = Date.now();
   let next = null;
@@ -270,11 +426,51 @@ export function computeNextEpisode(episodes) {
   return next;
 }
 
-export function isFetchStale(lastFetchedAtIso) {
+export function computeLatestAiredEpisode(episodes) {
+  const now = Date.now();
+  let latest = null;
+
+  for (const ep of episodes) {
+    if (!ep.airstamp) continue;
+    const airTime = Date.parse(ep.airstamp);
+    if (Number.isNaN(airTime)) continue;
+    if (airTime <= now && (!latest || airTime > Date.parse(latest.airstamp))) {
+      latest = {
+        season: ep.season,
+        number: ep.number,
+        airstamp: ep.airstamp
+      };
+    }
+  }
+
+  return latest;
+}
+
+export function isFetchStale(lastFetchedAtIso, maxAgeMs = ONE_DAY_MS) {
   if (!lastFetchedAtIso) return true;
   const last = Date.parse(lastFetchedAtIso);
   if (Number.isNaN(last)) return true;
-  return Date.now() - last > ONE_DAY_MS;
+  return Date.now() - last > maxAgeMs;
+}
+
+/**
+ * Fetch the TVmaze updates feed: which shows changed and when
+ * @param {string} since - "day", "week" or "month"
+ * @returns {Promise<Object|null>} - Map of show ID to last update (unix seconds), or null on failure
+ */
+export async function fetchShowUpdates(since) {
+  try {
+    // Not cached: this feed is what tells the refresh which cached data is out of date.
+    const res = await scheduledFetch(`${TVMAZE_BASE_URL}/updates/shows?since=${encodeURIComponent(since)}`);
+    if (!res.ok) {
+      console.error("TVmaze updates failed", res.status);
+      return null;
+    }
+    return res.json();
+  } catch (err) {
+    console.error("TVmaze updates failed:", err);
+    return null;
+  }
 }
 
 /**
@@ -286,23 +482,13 @@ export async function lookupByImdb(imdbId) {
   try {
     // Remove 'tt' prefix if present
     const cleanImdb = imdbId.replace(/^tt/, "");
-    const res = await fetch(`${TVMAZE_BASE_URL}/lookup/shows?imdb=tt${cleanImdb}`);
+    const res = await cachedFetch(`${TVMAZE_BASE_URL}/lookup/shows?imdb=tt${cleanImdb}`, { ttlMs: CACHE_TTL.show });
 
     if (!res.ok) {
       return null;
     }
 
-    const show = await res.json();
-    return {
-      id: show.id,
-      name: show.name,
-      genres: Array.isArray(show.genres) ? show.genres : [],
-      premiered: show.premiered || null,
-      status: show.status || null,
-      summary: show.summary ? show.summary.replace(/<[^>]+>/g, "") : "",
-      image: (show.image && (show.image.medium || show.image.original)) || null,
-      rating: show.rating?.average || null
-    };
+    return toShowSummary(await res.json());
   } catch (err) {
     console.error("TVmaze IMDb lookup failed:", err);
     return null;
@@ -328,12 +514,22 @@ export async function searchByTitle(title) {
   }
 }
 
+// Schedule items are episodes with their show inline, so the airing episode
+// comes for free. With several episodes of a show on one day, keep the
+// earliest one still to air; ones that aired earlier today are not "next".
+function pickScheduledEpisode(current, candidate) {
+  const candidateTime = Date.parse(candidate?.airstamp);
+  if (!(candidateTime > Date.now())) return current;
+  if (!current) return candidate;
+  return candidateTime < Date.parse(current.airstamp) ? candidate : current;
+}
+
 // Fetch shows airing today
 export async function fetchScheduleToday(genreFilter = null) {
   try {
     const today = new Date();
     const dateStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
-    const res = await fetch(`${TVMAZE_BASE_URL}/schedule?date=${dateStr}`);
+    const res = await cachedFetch(`${TVMAZE_BASE_URL}/schedule?date=${dateStr}`, { ttlMs: CACHE_TTL.schedule });
 
     if (!res.ok) {
       console.error("TVmaze schedule failed", res.status);
@@ -345,29 +541,27 @@ export async function fetchScheduleToday(genreFilter = null) {
     const showMap = new Map();
 
     data.forEach((scheduleItem) => {
-      if (scheduleItem.show && !showMap.has(scheduleItem.show.id)) {
-        const show = scheduleItem.show;
-        const showGenres = Array.isArray(show.genres) ? show.genres : [];
+      if (!scheduleItem.show) return;
+      const show = scheduleItem.show;
+      const existing = showMap.get(show.id);
+      if (existing) {
+        existing.nextEpisode = pickScheduledEpisode(existing.nextEpisode, toEpisodeRef(scheduleItem));
+        return;
+      }
 
-        // Filter by genre if specified
-        if (genreFilter) {
-          const genreLower = genreFilter.toLowerCase();
-          if (!showGenres.some(g => g.toLowerCase() === genreLower)) {
-            return; // Skip this show if it doesn't match the genre
-          }
+      // Filter by genre if specified
+      if (genreFilter) {
+        const showGenres = Array.isArray(show.genres) ? show.genres : [];
+        const genreLower = genreFilter.toLowerCase();
+        if (!showGenres.some(g => g.toLowerCase() === genreLower)) {
+          return; // Skip this show if it doesn't match the genre
         }
-
-        showMap.set(show.id, {
-          id: show.id,
-          name: show.name,
-          genres: showGenres,
-          premiered: show.premiered || null,
-          status: show.status || null,
-          summary: show.summary ? show.summary.replace(/<[^>]+>/g, "") : "",
-          image: (show.image && (show.image.medium || show.image.original)) || null,
-          rating: show.rating?.average || null
-        });
       }
+
+      showMap.set(show.id, {
+        ...toShowSummary(show),
+        nextEpisode: pickScheduledEpisode(null, toEpisodeRef(scheduleItem))
+      });
     });
 
     return Array.from(showMap.values()).slice(0, 50);
@@ -386,7 +580,7 @@ export async function fetchPopularShows() {
     const pagesToFetch = 5; // Fetch first 5 pages (250 shows)
 
     for (let page = 0; page < pagesToFetch; page++) {
-      const res = await fetch(`${TVMAZE_BASE_URL}/shows?page=${page}`);
+      const res = await cachedFetch(`${TVMAZE_BASE_URL}/shows?page=${page}`, { ttlMs: CACHE_TTL.list });
 
       if (!res.ok) {
         if (res.status === 404) break; // No more pages
@@ -415,19 +609,9 @@ export async function fetchPopularShows() {
         const ratingB = b.rating?.average || 0;
         return ratingB - ratingA;
       })
-      .slice(0, 50)
-      .map(show => ({
-        id: show.id,
-        name: show.name,
-        genres: Array.isArray(show.genres) ? show.genres : [],
-        premiered: show.premiered || null,
-        status: show.status || null,
-        summary: show.summary ? show.summary.replace(/<[^>]+>/g, "") : "",
-        image: (show.image && (show.image.medium || show.image.original)) || null,
-        rating: show.rating?.average || null
-      }));
+      .slice(0, 50);
 
-    return popularShows;
+    return withNextEpisodeLinks(popularShows);
   } catch (err) {
     console.error("Error fetching popular shows:", err);
     return [];
@@ -438,7 +622,7 @@ export async function fetchPopularShows() {
 // Returns { shows: [], hasMore: boolean }
 export async function fetchShowsPage(page = 0, genreFilter = null) {
   try {
-    const res = await fetch(`${TVMAZE_BASE_URL}/shows?page=${page}`);
+    const res = await cachedFetch(`${TVMAZE_BASE_URL}/shows?page=${page}`, { ttlMs: CACHE_TTL.list });
 
     if (!res.ok) {
       if (res.status === 404) return { shows: [], hasMore: false };
@@ -470,17 +654,8 @@ export async function fetchShowsPage(page = 0, genreFilter = null) {
     // Sort by rating
     filtered.sort((a, b) => (b.rating?.average || 0) - (a.rating?.average || 0));
 
-    // Map to simpler format
-    const shows = filtered.map(show => ({
-      id: show.id,
-      name: show.name,
-      genres: Array.isArray(show.genres) ? show.genres : [],
-      premiered: show.premiered || null,
-      status: show.status || null,
-      summary: show.summary ? show.summary.replace(/<[^>]+>/g, "") : "",
-      image: (show.image && (show.image.medium || show.image.original)) || null,
-      rating: show.rating?.average || null
-    }));
+    // Map to simpler format, with links to next episodes for shows that have one
+    const shows = withNextEpisodeLinks(filtered);
 
     return { shows, hasMore: data.length >= 250 }; // TVmaze returns up to 250 per page
   } catch (err) {
@@ -497,7 +672,7 @@ export async function fetchScheduleByDate(date = null, country = "US") {
       return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
     })();
 
-    const res = await fetch(`${TVMAZE_BASE_URL}/schedule?country=${country}&date=${dateStr}`);
+    const res = await cachedFetch(`${TVMAZE_BASE_URL}/schedule?country=${country}&date=${dateStr}`, { ttlMs: CACHE_TTL.schedule });
 
     if (!res.ok) {
       console.error("TVmaze schedule failed", res.status);
@@ -508,20 +683,18 @@ export async function fetchScheduleByDate(date = null, country = "US") {
     const showMap = new Map();
 
     data.forEach((scheduleItem) => {
-      if (scheduleItem.show && !showMap.has(scheduleItem.show.id)) {
-        const show = scheduleItem.show;
-        showMap.set(show.id, {
-          id: show.id,
-          name: show.name,
-          genres: Array.isArray(show.genres) ? show.genres : [],
-          premiered: show.premiered || null,
-          status: show.status || null,
-          summary: show.summary ? show.summary.replace(/<[^>]+>/g, "") : "",
-          image: (show.image && (show.image.medium || show.image.original)) || null,
-          rating: show.rating?.average || null,
-          airtime: scheduleItem.airtime || null
-        });
+      if (!scheduleItem.show) return;
+      const show = scheduleItem.show;
+      const existing = showMap.get(show.id);
+      if (existing) {
+        existing.nextEpisode = pickScheduledEpisode(existing.nextEpisode, toEpisodeRef(scheduleItem));
+        return;
       }
+      showMap.set(show.id, {
+        ...toShowSummary(show),
+        airtime: scheduleItem.airtime || null,
+        nextEpisode: pickScheduledEpisode(null, toEpisodeRef(scheduleItem))
+      });
     });
 
     return Array.from(showMap.values());
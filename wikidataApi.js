@@ -1,4 +1,9 @@
+import { cachedFetch, CACHE_TTL } from "./httpCache.js";
+import { normalizeGenre, getApiGenres } from "./genreMapping.js";
+
 const WIKIDATA_SPARQL_ENDPOINT = "https://query.wikidata.org/sparql";
+const WIKIDATA_API_ENDPOINT = "https://www.wikidata.org/w/api.php";
+const SEARCH_LIMIT = 20;
 
 // Wikidata entity IDs for content types
 const CONTENT_TYPES = {
@@ -7,6 +12,12 @@ const CONTENT_TYPES = {
   movies: "Q11424"     // film
 };
 
+// Classes a genre item is an instance of, directly or through subclasses
+const GENRE_CLASSES = [
+  "Q201658",   // film genre
+  "Q15961987"  // television genre
+];
+
 // Wikidata property IDs
 const PROPERTIES = {
   genre: "P136",           // genre
@@ -14,101 +25,465 @@ const PROPERTIES = {
   tvmazeId: "P4985",       // TVmaze show ID
   malId: "P4086",          // MyAnimeList ID
   imdbId: "P345",          // IMDb ID
-  title: "P1476"           // title
+  title: "P1476",          // title
+  publicationDate: "P577", // publication date
+  placeOfPublication: "P291", // qualifier on publication date
+  distributionFormat: "P437", // qualifier: theatrical release, video on demand...
+  countryCode: "P297",     // ISO 3166-1 alpha-2 code
+  subclassOf: "P279",      // subclass of
+  image: "P18",            // image (the poster, for most films)
+  duration: "P2047"        // duration
 };
 
+const POSTER_WIDTH = 300;
+
+// wikibase:timePrecision values
+const DAY_PRECISION = 11;
+const DATE_PRECISION = { [DAY_PRECISION]: "day", 10: "month" };
+
+/**
+ * Run a SPARQL query against the Wikidata Query Service
+ * @param {string} query - SPARQL query text
+ * @param {Object} options - { fresh } skip the cached result
+ * @returns {Promise<Object>} - SPARQL JSON response
+ */
+async function runSparqlQuery(query, { fresh = false } = {}) {
+  const body = `query=${encodeURIComponent(query)}`;
+  const response = await cachedFetch(WIKIDATA_SPARQL_ENDPOINT, {
+    ttlMs: CACHE_TTL.sparql,
+    // POST requests are cached by their query.
+    cacheKey: `${WIKIDATA_SPARQL_ENDPOINT}?${body}`,
+    fresh,
+    init: {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        "Accept": "application/sparql-results+json"
+      },
+      body
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Wikidata SPARQL query failed: ${response.status}`);
+  }
+
+  return response.json();
+}
+
 /**
- * Query Wikidata for content by genre
- * @param {string} genre - Genre name (will be normalized)
+ * Query Wikidata for content by genre, most popular first
+ * @param {string} genre - Genre name (will be normalized) or genre QID
  * @param {string[]} contentTypes - Array of 'tv', 'anime', 'movies'
  * @param {number} limit - Maximum results (default 100)
- * @returns {Promise<Array>} - Array of content items with metadata
+ * @param {number} offset - Items to skip, for paging
+ * @param {Object} options - { includeSubgenres, fromYear, toYear }
+ *   includeSubgenres: also match works tagged with a subclass of the genre (e.g. slasher film for horror),
+ *   fromYear / toYear: only works with a publication date in this range of years (inclusive)
+ * @returns {Promise<Array>} - Array of content items with metadata, one per item (see queryRankedWorks)
  */
-export async function queryByGenre(genre, contentTypes = ["tv", "anime", "movies"], limit = 100) {
+export async function queryByGenre(
+  genre,
+  contentTypes = ["tv", "anime", "movies"],
+  limit = 100,
+  offset = 0,
+  { includeSubgenres = false, fromYear = null, toYear = null } = {}
+) {
   try {
-    // First, we need to find the genre QID in Wikidata
-    // For now, we'll use a simplified approach with common genres
-    const genreQid = getGenreQid(genre);
-    if (!genreQid) {
+    const genreQids = await resolveGenreQids(genre);
+    if (!genreQids.length) {
       console.warn(`Genre QID not found for: ${genre}`);
       return [];
     }
+    const genrePath = includeSubgenres
+      ? `wdt:${PROPERTIES.genre}/wdt:${PROPERTIES.subclassOf}*`
+      : `wdt:${PROPERTIES.genre}`;
 
-    // Build type filter
-    const typeFilters = contentTypes
-      .map(type => CONTENT_TYPES[type])
-      .filter(Boolean)
-      .map(qid => `wd:${qid}`)
-      .join(", ");
+    let match = `
+      VALUES ?genre { ${genreQids.map(qid => `wd:${qid}`).join(" ")} }
+      ?item ${genrePath} ?genre .
+    `;
+    match += yearRangeMatch(fromYear, toYear);
 
-    if (!typeFilters) {
-      return [];
-    }
+    return await queryRankedWorks(match, contentTypes, limit, offset);
+  } catch (err) {
+    console.error("Error querying Wikidata:", err);
+    return [];
+  }
+}
 
-    // Build SPARQL query
-    const query = `
-      SELECT ?item ?itemLabel ?type ?tvmazeId ?malId ?imdbId WHERE {
-        ?item wdt:${PROPERTIES.genre} wd:${genreQid} .
-        ?item wdt:${PROPERTIES.instanceOf} ?type .
-        FILTER(?type IN (${typeFilters})) .
-        OPTIONAL { ?item wdt:${PROPERTIES.tvmazeId} ?tvmazeId } .
-        OPTIONAL { ?item wdt:${PROPERTIES.malId} ?malId } .
-        OPTIONAL { ?item wdt:${PROPERTIES.imdbId} ?imdbId } .
-        SERVICE wikibase:label { bd:serviceParam wikibase:language "en" }
-      }
-      LIMIT ${limit}
+/**
+ * Most popular works of any genre, optionally within a range of years
+ * @param {string[]} contentTypes - Array of 'tv', 'anime', 'movies'
+ * @param {number} limit - Maximum results
+ * @param {number} offset - Items to skip, for paging
+ * @param {Object} options - { fromYear, toYear } as for queryByGenre
+ * @returns {Promise<Array>} - As queryByGenre
+ */
+export async function queryPopularWorks(contentTypes = ["movies"], limit = 20, offset = 0, { fromYear = null, toYear = null } = {}) {
+  try {
+    return await queryRankedWorks(yearRangeMatch(fromYear, toYear), contentTypes, limit, offset);
+  } catch (err) {
+    console.error("Error querying popular Wikidata works:", err);
+    return [];
+  }
+}
+
+/**
+ * Works released (to the day) between two dates, most popular first
+ * @param {string} from - First date, "YYYY-MM-DD"
+ * @param {string} to - Day after the last date, "YYYY-MM-DD"
+ * @param {string[]} contentTypes - Array of 'tv', 'anime', 'movies'
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Array>} - As queryByGenre; `released` is the first release date in the range
+ */
+export async function queryReleasesBetween(from, to, contentTypes = ["movies"], limit = 20) {
+  try {
+    const match = `
+      ?item p:${PROPERTIES.publicationDate}/psv:${PROPERTIES.publicationDate} ?dateValue .
+      ?dateValue wikibase:timeValue ?date ;
+                 wikibase:timePrecision ${DAY_PRECISION} .
+      ${dateRangeFilter("?date", from, to)}
     `;
+    const works = await queryRankedWorks(match, contentTypes, limit, 0);
+    return works.map(work => ({
+      ...work,
+      released: work.releaseDates.find(date => date >= from && date < to) || work.released
+    }));
+  } catch (err) {
+    console.error("Error querying Wikidata releases:", err);
+    return [];
+  }
+}
 
-    const response = await fetch(WIKIDATA_SPARQL_ENDPOINT, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        "Accept": "application/sparql-results+json"
-      },
-      body: `query=${encodeURIComponent(query)}`
-    });
+// Pattern limiting ?item to works published in a range of years (inclusive)
+function yearRangeMatch(fromYear, toYear) {
+  if (!fromYear && !toYear) return "";
+  return `
+    ?item wdt:${PROPERTIES.publicationDate} ?date .
+    ${dateRangeFilter("?date", fromYear && `${fromYear}-01-01`, toYear && `${Number(toYear) + 1}-01-01`)}
+  `;
+}
 
-    if (!response.ok) {
-      console.error("Wikidata SPARQL query failed", response.status);
-      return [];
-    }
+function dateRangeFilter(variable, from, to) {
+  const bounds = [];
+  if (from) bounds.push(`${variable} >= "${from}T00:00:00Z"^^xsd:dateTime`);
+  if (to) bounds.push(`${variable} < "${to}T00:00:00Z"^^xsd:dateTime`);
+  return bounds.length ? `FILTER(${bounds.join(" && ")}) .` : "";
+}
 
-    const data = await response.json();
-    return parseWikidataResults(data, contentTypes);
-  } catch (err) {
-    console.error("Error querying Wikidata:", err);
+// Items matching the SPARQL pattern `match` (binding ?item), ranked by how
+// many Wikipedia and sister-project articles they have. Paging is over
+// distinct items in that order, so OFFSET pages neither overlap nor split an
+// item's rows across two pages.
+//
+// Each item: { wikidataId, name, contentType, tvmazeId, malId, imdbId,
+// image, released, releaseDates, durationMinutes, sitelinks }
+async function queryRankedWorks(match, contentTypes, limit, offset) {
+  const typeFilters = contentTypes
+    .map(type => CONTENT_TYPES[type])
+    .filter(Boolean)
+    .map(qid => `wd:${qid}`)
+    .join(", ");
+
+  if (!typeFilters) {
     return [];
   }
+
+  const query = `
+    SELECT ?item ?itemLabel ?type ?sitelinks ?tvmazeId ?malId ?imdbId ?image ?released ?durationSeconds WHERE {
+      {
+        SELECT DISTINCT ?item ?sitelinks WHERE {
+          ${match}
+          ?item wdt:${PROPERTIES.instanceOf} ?matchedType .
+          FILTER(?matchedType IN (${typeFilters})) .
+          ?item wikibase:sitelinks ?sitelinks .
+        }
+        ORDER BY DESC(?sitelinks) ?item
+        LIMIT ${limit}
+        OFFSET ${offset}
+      }
+      ?item wdt:${PROPERTIES.instanceOf} ?type .
+      FILTER(?type IN (${typeFilters})) .
+      OPTIONAL { ?item wdt:${PROPERTIES.tvmazeId} ?tvmazeId } .
+      OPTIONAL { ?item wdt:${PROPERTIES.malId} ?malId } .
+      OPTIONAL { ?item wdt:${PROPERTIES.imdbId} ?imdbId } .
+      OPTIONAL { ?item wdt:${PROPERTIES.image} ?image } .
+      OPTIONAL { ?item wdt:${PROPERTIES.publicationDate} ?released } .
+      OPTIONAL { ?item p:${PROPERTIES.duration}/psn:${PROPERTIES.duration}/wikibase:quantityAmount ?durationSeconds } .
+      SERVICE wikibase:label { bd:serviceParam wikibase:language "en" }
+    }
+    ORDER BY DESC(?sitelinks) ?item
+  `;
+
+  const data = await runSparqlQuery(query);
+
+  // One row per combination of multi-valued properties: keep the first row
+  // per item, filling in what it lacks from the others.
+  const items = new Map();
+  for (const binding of data.results?.bindings || []) {
+    const row = parseWikidataBinding(binding);
+    if (!contentTypes.includes(row.contentType)) continue;
+    const item = items.get(row.wikidataId) || {
+      ...row,
+      image: null,
+      releaseDates: [],
+      durationMinutes: null,
+      sitelinks: Number(binding.sitelinks?.value) || 0
+    };
+    item.tvmazeId = item.tvmazeId || row.tvmazeId;
+    item.malId = item.malId || row.malId;
+    item.imdbId = item.imdbId || row.imdbId;
+    item.image = item.image || commonsThumbnail(binding.image?.value);
+    const released = binding.released?.value?.slice(0, 10);
+    if (released && !item.releaseDates.includes(released)) item.releaseDates.push(released);
+    if (!item.durationMinutes && binding.durationSeconds) {
+      item.durationMinutes = Math.round(Number(binding.durationSeconds.value) / 60) || null;
+    }
+    items.set(row.wikidataId, item);
+  }
+
+  return [...items.values()].map(item => {
+    item.releaseDates.sort();
+    return { ...item, released: item.releaseDates[0] || null };
+  });
+}
+
+// Wikidata stores images as Commons file URLs; ask Commons for a card-sized
+// rendition instead of the original.
+function commonsThumbnail(fileUrl) {
+  if (!fileUrl) return null;
+  return `${fileUrl.replace(/^http:/, "https:")}?width=${POSTER_WIDTH}`;
 }
 
 /**
- * Get Wikidata QID for a genre
- * Common genre mappings to Wikidata QIDs
+ * Fetch current data for a single Wikidata item
+ * @param {string} qid - Wikidata item ID (e.g. "Q42")
+ * @param {Object} options - { fresh } skip the cached result
+ * @returns {Promise<Object|null>} - { wikidataId, name, tvmazeId, malId, imdbId, released }, null if the item has no data
  */
-function getGenreQid(genre) {
-  if (!genre) return null;
-  
-  const genreLower = genre.toLowerCase().trim();
-  
-  // Common genre mappings to Wikidata QIDs
-  const genreMap = {
-    "science fiction": "Q24925",
-    "sci-fi": "Q24925",
-    "science-fiction": "Q24925",
-    "drama": "Q130232",
-    "comedy": "Q157443",
-    "action": "Q319221",
-    "fantasy": "Q157394",
-    "horror": "Q200092",
-    "thriller": "Q2484376",
-    "romance": "Q1054574",
-    "mystery": "Q1145523",
-    "crime": "Q83267",
-    "adventure": "Q319221",
-    "animation": "Q157443"
+export async function fetchWikidataItem(qid, { fresh = false } = {}) {
+  if (!/^Q\d+$/.test(qid)) {
+    throw new Error(`Invalid Wikidata ID: ${qid}`);
+  }
+
+  const query = `
+    SELECT ?itemLabel ?tvmazeId ?malId ?imdbId ?released WHERE {
+      BIND(wd:${qid} AS ?item)
+      ?item wdt:${PROPERTIES.instanceOf} ?type .
+      OPTIONAL { ?item wdt:${PROPERTIES.tvmazeId} ?tvmazeId } .
+      OPTIONAL { ?item wdt:${PROPERTIES.malId} ?malId } .
+      OPTIONAL { ?item wdt:${PROPERTIES.imdbId} ?imdbId } .
+      OPTIONAL { ?item wdt:${PROPERTIES.publicationDate} ?released } .
+      SERVICE wikibase:label { bd:serviceParam wikibase:language "en" }
+    }
+  `;
+
+  const data = await runSparqlQuery(query, { fresh });
+  const bindings = data.results?.bindings || [];
+  if (!bindings.length) return null;
+
+  // One row per combination of multi-valued properties: take the first value
+  // of each and the earliest publication date.
+  const pick = (key) => bindings.find(b => b[key]?.value)?.[key].value || null;
+  const releaseDates = bindings
+    .map(b => b.released?.value)
+    .filter(Boolean)
+    .sort();
+
+  return {
+    wikidataId: qid,
+    name: pick("itemLabel"),
+    tvmazeId: pick("tvmazeId"),
+    malId: pick("malId"),
+    imdbId: pick("imdbId"),
+    released: releaseDates.length ? releaseDates[0].slice(0, 10) : null
   };
-  
-  return genreMap[genreLower] || null;
+}
+
+/**
+ * Publication dates of an item, one per release (country, format)
+ * @param {string} qid - Wikidata item ID (e.g. "Q42")
+ * @param {Object} options - { fresh } skip the cached result
+ * @returns {Promise<Array>} - [{ date: "YYYY-MM-DD", precision, country, worldwide, format }] by date; `precision` is "day", "month" or "year", `country` is an ISO code (null when unknown), `worldwide` when the date has no place qualifier
+ */
+export async function fetchReleaseDates(qid, { fresh = false } = {}) {
+  if (!/^Q\d+$/.test(qid)) {
+    throw new Error(`Invalid Wikidata ID: ${qid}`);
+  }
+
+  const query = `
+    SELECT ?statement ?date ?precision ?place ?countryCode ?formatLabel WHERE {
+      wd:${qid} p:${PROPERTIES.publicationDate} ?statement .
+      ?statement psv:${PROPERTIES.publicationDate} ?value .
+      ?value wikibase:timeValue ?date ;
+             wikibase:timePrecision ?precision .
+      OPTIONAL {
+        ?statement pq:${PROPERTIES.placeOfPublication} ?place .
+        OPTIONAL { ?place wdt:${PROPERTIES.countryCode} ?countryCode }
+      }
+      OPTIONAL { ?statement pq:${PROPERTIES.distributionFormat} ?format }
+      SERVICE wikibase:label { bd:serviceParam wikibase:language "en" }
+    }
+  `;
+
+  const data = await runSparqlQuery(query, { fresh });
+  const releases = [];
+  // A statement with several places or formats comes back as several rows;
+  // each combination is its own release.
+  const seen = new Set();
+  for (const binding of data.results?.bindings || []) {
+    const release = {
+      date: binding.date.value.replace(/^\+/, "").slice(0, 10),
+      precision: DATE_PRECISION[binding.precision?.value] || "year",
+      country: binding.countryCode?.value?.toUpperCase() || null,
+      worldwide: !binding.place,
+      format: binding.formatLabel?.value || null
+    };
+    const key = JSON.stringify(release);
+    if (!seen.has(key)) {
+      seen.add(key);
+      releases.push(release);
+    }
+  }
+  return releases.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Next release a viewer in `region` can watch: the region's own dates when
+ * it has any, else the worldwide ones, else the first release anywhere
+ * @param {Array} releases - From fetchReleaseDates
+ * @param {string|null} region - ISO country code, e.g. "DE"
+ * @param {number} now - Reference time (ms)
+ * @returns {Object|null} - { airstamp, date, country, format }, null when already released or undated
+ */
+export function getNextRelease(releases, region, now = Date.now()) {
+  const dated = (releases || []).filter(release => release.precision === "day");
+  const regional = region ? dated.filter(release => release.country === region) : [];
+  const worldwide = dated.filter(release => release.worldwide);
+  const candidates = regional.length ? regional : worldwide.length ? worldwide : dated.slice(0, 1);
+
+  for (const release of candidates) {
+    // Release dates are calendar days: count down to local midnight.
+    const [year, month, day] = release.date.split("-").map(Number);
+    const at = new Date(year, month - 1, day);
+    if (at.getTime() > now) {
+      return {
+        airstamp: at.toISOString(),
+        date: release.date,
+        country: release.country,
+        format: release.format
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the Wikidata item carrying any of the given external IDs
+ * @param {Object} ids - { tvmaze, mal, imdb } (any may be missing)
+ * @returns {Promise<Object|null>} - { wikidataId, tvmazeId, malId, imdbId }, null if no item has them
+ */
+export async function findItemByExternalIds({ tvmaze, mal, imdb } = {}) {
+  const patterns = [
+    [PROPERTIES.tvmazeId, tvmaze],
+    [PROPERTIES.malId, mal],
+    [PROPERTIES.imdbId, imdb]
+  ]
+    .filter(([, value]) => value != null && /^[\w-]+$/.test(String(value)))
+    .map(([property, value]) => `{ ?item wdt:${property} "${value}" }`);
+  if (!patterns.length) return null;
+
+  const query = `
+    SELECT ?item ?tvmazeId ?malId ?imdbId WHERE {
+      ${patterns.join(" UNION ")}
+      OPTIONAL { ?item wdt:${PROPERTIES.tvmazeId} ?tvmazeId } .
+      OPTIONAL { ?item wdt:${PROPERTIES.malId} ?malId } .
+      OPTIONAL { ?item wdt:${PROPERTIES.imdbId} ?imdbId } .
+    }
+    LIMIT 20
+  `;
+
+  const data = await runSparqlQuery(query);
+  const bindings = data.results?.bindings || [];
+  if (!bindings.length) return null;
+
+  // An ID is occasionally on more than one item (e.g. a series and its
+  // first season); prefer the item that matched on the most IDs.
+  const itemOf = (b) => b.item.value.split("/").pop();
+  const matchCount = (b) =>
+    (b.tvmazeId?.value === String(tvmaze)) + (b.malId?.value === String(mal)) + (b.imdbId?.value === String(imdb));
+  const best = bindings.reduce((a, b) => (matchCount(b) > matchCount(a) ? b : a));
+  const rows = bindings.filter(b => itemOf(b) === itemOf(best));
+  const pick = (key) => rows.find(b => b[key]?.value)?.[key].value || null;
+
+  return {
+    wikidataId: itemOf(best),
+    tvmazeId: pick("tvmazeId"),
+    malId: pick("malId"),
+    imdbId: pick("imdbId")
+  };
+}
+
+// Genre label -> Promise of its verified QID, kept for the life of the
+// page/worker on top of the HTTP cache.
+const genreQidCache = new Map();
+
+// Of `qids`, the ones that are film or TV genres. Labels like "western" or
+// "romance" also match regions, novels and disambiguation pages.
+async function filterGenreItems(qids) {
+  const query = `
+    SELECT DISTINCT ?item WHERE {
+      VALUES ?item { ${qids.map(qid => `wd:${qid}`).join(" ")} }
+      VALUES ?genreClass { ${GENRE_CLASSES.map(qid => `wd:${qid}`).join(" ")} }
+      ?item wdt:${PROPERTIES.instanceOf}/wdt:${PROPERTIES.subclassOf}* ?genreClass .
+    }
+  `;
+  const data = await runSparqlQuery(query);
+  return new Set((data.results?.bindings || []).map(b => b.item.value.split("/").pop()));
+}
+
+// Look up a genre item by exact English label or alias: the first such hit
+// that is a film or TV genre.
+function resolveGenreLabel(label) {
+  const key = normalizeLabel(label);
+  if (!genreQidCache.has(key)) {
+    const lookup = searchEntities(label, "en", { ttlMs: CACHE_TTL.catalog }).then(async hits => {
+      const candidates = hits
+        .filter(hit => normalizeLabel(hit.match?.text || hit.label) === key)
+        .map(hit => hit.id);
+      if (!candidates.length) return null;
+      const genres = await filterGenreItems(candidates);
+      return candidates.find(qid => genres.has(qid)) || null;
+    });
+    genreQidCache.set(key, lookup);
+    // Only verified QIDs stay cached; misses and failures are retried.
+    lookup
+      .then(qid => {
+        if (!qid) genreQidCache.delete(key);
+      })
+      .catch(() => genreQidCache.delete(key));
+  }
+  return genreQidCache.get(key);
+}
+
+/**
+ * Wikidata genre items for a genre name
+ * @param {string} genre - Canonical genre (resolved through its Wikidata names in genreMapping.js), any other genre label, or a QID
+ * @returns {Promise<string[]>} - QIDs, empty if none resolved
+ */
+export async function resolveGenreQids(genre) {
+  if (!genre) return [];
+  if (/^Q\d+$/.test(genre)) return [genre];
+
+  const labels = getApiGenres(normalizeGenre(genre, "wikidata"), "wikidata");
+  const qids = await Promise.all(labels.map(label =>
+    resolveGenreLabel(label).catch(err => {
+      console.error(`Failed to resolve Wikidata genre "${label}"`, err);
+      return null;
+    })
+  ));
+  return [...new Set(qids.filter(Boolean))];
 }
 
 /**
@@ -122,40 +497,163 @@ function parseWikidataResults(data, contentTypes) {
     return [];
   }
 
-  return data.results.bindings.map(binding => {
-    const itemUri = binding.item?.value || "";
-    const itemId = itemUri.split("/").pop() || "";
-    
-    const itemLabel = binding.itemLabel?.value || "Unknown";
-    const typeUri = binding.type?.value || "";
-    const typeId = typeUri.split("/").pop() || "";
-    
-    // Determine content type
-    let contentType = "unknown";
-    if (typeId === CONTENT_TYPES.tv) contentType = "tv";
-    else if (typeId === CONTENT_TYPES.anime) contentType = "anime";
-    else if (typeId === CONTENT_TYPES.movies) contentType = "movies";
-
-    return {
-      wikidataId: itemId,
-      name: itemLabel,
-      contentType: contentType,
-      tvmazeId: binding.tvmazeId?.value || null,
-      malId: binding.malId?.value || null,
-      imdbId: binding.imdbId?.value || null
-    };
-  }).filter(item => contentTypes.includes(item.contentType));
+  return data.results.bindings
+    .map(parseWikidataBinding)
+    .filter(item => contentTypes.includes(item.contentType));
+}
+
+// One result row: item, label, content type and cross-IDs
+function parseWikidataBinding(binding) {
+  const itemUri = binding.item?.value || "";
+  const itemId = itemUri.split("/").pop() || "";
+
+  const itemLabel = binding.itemLabel?.value || "Unknown";
+  const typeUri = binding.type?.value || "";
+  const typeId = typeUri.split("/").pop() || "";
+
+  // Determine content type
+  let contentType = "unknown";
+  if (typeId === CONTENT_TYPES.tv) contentType = "tv";
+  else if (typeId === CONTENT_TYPES.anime) contentType = "anime";
+  else if (typeId === CONTENT_TYPES.movies) contentType = "movies";
+
+  return {
+    wikidataId: itemId,
+    name: itemLabel,
+    contentType: contentType,
+    tvmazeId: binding.tvmazeId?.value || null,
+    malId: binding.malId?.value || null,
+    imdbId: binding.imdbId?.value || null
+  };
+}
+
+// Normalize a label for exact/prefix comparison; keeps letters in any script.
+function normalizeLabel(text) {
+  return (text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Primary subtag of the browser's UI language, e.g. "de" for "de-AT".
+function getUserLanguage() {
+  const language = (globalThis.navigator?.language || "en").split("-")[0].toLowerCase();
+  return /^[a-z]{2,3}$/.test(language) ? language : "en";
+}
+
+/**
+ * Search item labels and aliases with the Wikidata search API
+ * @param {string} title - Title to search
+ * @param {string} language - Language code to match labels in
+ * @returns {Promise<Array>} - wbsearchentities hits ({ id, label, description, match })
+ */
+async function searchEntities(title, language, { ttlMs = CACHE_TTL.search } = {}) {
+  const params = new URLSearchParams({
+    action: "wbsearchentities",
+    search: title,
+    language,
+    uselang: language,
+    type: "item",
+    limit: String(SEARCH_LIMIT),
+    format: "json",
+    origin: "*"
+  });
+  const response = await cachedFetch(`${WIKIDATA_API_ENDPOINT}?${params}`, { ttlMs });
+
+  if (!response.ok) {
+    throw new Error(`Wikidata search failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.search || [];
+}
+
+// Exact title matches first, then prefix matches; within those, label matches
+// beat alias matches and matches in the user's language beat the fallback.
+function scoreSearchHit(hit, query, language) {
+  const matched = normalizeLabel(hit.match?.text || hit.label);
+  let score = 0;
+  if (matched === query) score += 4;
+  else if (matched.startsWith(query)) score += 2;
+  if (hit.match?.type === "label") score += 1;
+  if (hit.match?.language === language) score += 1;
+  return score;
 }
 
 /**
- * Search Wikidata by title (fallback method)
+ * Search Wikidata by title (labels and aliases)
  * @param {string} title - Title to search
  * @param {string[]} contentTypes - Content types to filter
- * @returns {Promise<Array>} - Search results
+ * @returns {Promise<Array>} - Items shaped like parseWikidataResults, plus year and description, best match first
  */
 export async function searchByTitle(title, contentTypes = ["tv", "anime", "movies"]) {
-  // This is a simplified search - Wikidata search API would be better
-  // For now, return empty and rely on direct API searches
-  return [];
-}
+  const query = normalizeLabel(title);
+  if (!query) return [];
 
+  try {
+    const language = getUserLanguage();
+    const languages = language === "en" ? ["en"] : [language, "en"];
+    const hitLists = await Promise.all(languages.map(lang => searchEntities(title, lang)));
+
+    // Best-scoring hit per item, remembering its position in the API results
+    const ranked = new Map();
+    hitLists.forEach(hits => hits.forEach((hit, position) => {
+      const score = scoreSearchHit(hit, query, language);
+      const existing = ranked.get(hit.id);
+      if (!existing || score > existing.score) {
+        ranked.set(hit.id, { hit, score, position: Math.min(position, existing?.position ?? position) });
+      }
+    }));
+    if (!ranked.size) return [];
+
+    const typeFilters = contentTypes
+      .map(type => CONTENT_TYPES[type])
+      .filter(Boolean)
+      .map(qid => `wd:${qid}`)
+      .join(", ");
+    if (!typeFilters) return [];
+
+    const values = [...ranked.keys()].map(qid => `wd:${qid}`).join(" ");
+    const sparql = `
+      SELECT ?item ?itemLabel ?type ?tvmazeId ?malId ?imdbId ?released WHERE {
+        VALUES ?item { ${values} }
+        ?item wdt:${PROPERTIES.instanceOf} ?type .
+        FILTER(?type IN (${typeFilters})) .
+        OPTIONAL { ?item wdt:${PROPERTIES.tvmazeId} ?tvmazeId } .
+        OPTIONAL { ?item wdt:${PROPERTIES.malId} ?malId } .
+        OPTIONAL { ?item wdt:${PROPERTIES.imdbId} ?imdbId } .
+        OPTIONAL { ?item wdt:${PROPERTIES.publicationDate} ?released } .
+        SERVICE wikibase:label { bd:serviceParam wikibase:language "${language},en" }
+      }
+    `;
+
+    const data = await runSparqlQuery(sparql);
+
+    // One row per combination of multi-valued properties: keep the first row
+    // per item and its earliest release year.
+    const items = new Map();
+    for (const item of parseWikidataResults(data, contentTypes)) {
+      if (!items.has(item.wikidataId)) items.set(item.wikidataId, item);
+    }
+    const years = new Map();
+    for (const binding of data.results?.bindings || []) {
+      const itemId = (binding.item?.value || "").split("/").pop();
+      const year = parseInt(binding.released?.value, 10);
+      if (!Number.isNaN(year) && !(years.get(itemId) <= year)) years.set(itemId, year);
+    }
+
+    return [...ranked.values()]
+      .filter(({ hit }) => items.has(hit.id))
+      .sort((a, b) => b.score - a.score || a.position - b.position)
+      .map(({ hit }) => ({
+        ...items.get(hit.id),
+        year: years.get(hit.id) || null,
+        description: hit.description || null
+      }));
+  } catch (err) {
+    console.error("Error searching Wikidata:", err);
+    return [];
+  }
+}